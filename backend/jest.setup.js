@@ -0,0 +1,21 @@
+/**
+ * Jest Setup
+ * Gives each test file its own SQLite database in a temporary directory,
+ * migrated to the current schema
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bigflix-test-'));
+
+// Keep the migration and job progress logs out of the test output
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+require('./src/database/migrate').runMigrations();
+
+afterAll(() => {
+  require('./src/database').close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
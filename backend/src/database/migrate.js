@@ -0,0 +1,108 @@
+/**
+ * Database Migrations
+ * Applies the numbered files in ./migrations in order, each in its own transaction
+ *
+ * Migration files are named NNN_description.js and export
+ * { description, up(db, helpers) }. Applied versions are recorded in the
+ * schema_migrations table; never edit a migration once it has been released.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./index');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Add a column to an existing table if it is missing.
+ * Columns may already exist on installs that predate versioned migrations.
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Load the migration files, sorted by version
+ */
+function getMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => ({
+      version: parseInt(file.split('_')[0]),
+      name: path.basename(file, '.js'),
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Get the highest migration version applied to the database
+ */
+function getSchemaVersion() {
+  const row = db.prepare('SELECT MAX(version) as version FROM schema_migrations').get();
+  return row.version || 0;
+}
+
+/**
+ * Apply every pending migration. Throws if the database was migrated by a
+ * newer version of BigFlix, since this code can't know what changed.
+ */
+function runMigrations() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const migrations = getMigrations();
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const current = getSchemaVersion();
+
+  if (current > latest) {
+    throw new Error(
+      `Database schema version ${current} is newer than this version of BigFlix supports (${latest}). ` +
+      'Upgrade BigFlix or restore a backup taken with this version.'
+    );
+  }
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+  const pending = migrations.filter(m => !applied.has(m.version));
+  if (pending.length === 0) return [];
+
+  // Table rebuilds drop and recreate referenced tables, so foreign keys are
+  // checked once per migration instead (the pragma can't change inside a transaction)
+  db.pragma('foreign_keys = OFF');
+  try {
+    for (const migration of pending) {
+      const apply = db.transaction(() => {
+        const existingViolations = db.pragma('foreign_key_check').length;
+        migration.up(db, { addColumnIfMissing });
+
+        const violations = db.pragma('foreign_key_check').length;
+        if (violations > existingViolations) {
+          throw new Error(`Migration ${migration.name} introduced ${violations - existingViolations} foreign key violations`);
+        }
+
+        db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+      });
+
+      apply();
+      console.log(`Applied migration ${migration.name}`);
+    }
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+
+  return pending.map(m => m.name);
+}
+
+module.exports = {
+  runMigrations,
+  getMigrations,
+  getSchemaVersion
+};
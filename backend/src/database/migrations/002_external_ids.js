@@ -0,0 +1,23 @@
+/**
+ * Migration 002: External id mappings
+ * TMDB to TVDB/IMDb ids used to match Sonarr series
+ */
+
+module.exports = {
+  description: 'External id mappings',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS external_ids (
+        tmdb_id INTEGER NOT NULL,
+        content_type TEXT NOT NULL CHECK(content_type IN ('movie', 'tv')),
+        tvdb_id INTEGER,
+        imdb_id TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (tmdb_id, content_type)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_external_ids_tvdb ON external_ids(tvdb_id);
+    `);
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Migration 003: Radarr/Sonarr defaults
+ * Per-server quality profile, root folder, language profile and tags
+ */
+
+module.exports = {
+  description: 'Radarr/Sonarr defaults per server',
+
+  up(db, { addColumnIfMissing }) {
+    addColumnIfMissing('plex_servers', 'radarr_quality_profile_id', 'INTEGER');
+    addColumnIfMissing('plex_servers', 'radarr_root_folder', 'TEXT');
+    addColumnIfMissing('plex_servers', 'radarr_tags', 'TEXT');
+    addColumnIfMissing('plex_servers', 'sonarr_quality_profile_id', 'INTEGER');
+    addColumnIfMissing('plex_servers', 'sonarr_root_folder', 'TEXT');
+    addColumnIfMissing('plex_servers', 'sonarr_language_profile_id', 'INTEGER');
+    addColumnIfMissing('plex_servers', 'sonarr_tags', 'TEXT');
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * Migration 004: Request sync timestamps
+ * When the sync job saw a request downloaded and available on Plex
+ */
+
+module.exports = {
+  description: 'Request download/availability timestamps',
+
+  up(db, { addColumnIfMissing }) {
+    addColumnIfMissing('content_requests', 'downloaded_at', 'DATETIME');
+    addColumnIfMissing('content_requests', 'available_at', 'DATETIME');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration 005: Webhooks
+ * Per-server webhook secret and the last event seen for requests and RSS items
+ */
+
+module.exports = {
+  description: 'Webhook secrets and last events',
+
+  up(db, { addColumnIfMissing }) {
+    addColumnIfMissing('plex_servers', 'webhook_secret', 'TEXT');
+    addColumnIfMissing('content_requests', 'last_event', 'TEXT');
+    addColumnIfMissing('content_requests', 'last_event_at', 'DATETIME');
+    addColumnIfMissing('rss_items', 'last_event', 'TEXT');
+    addColumnIfMissing('rss_items', 'last_event_at', 'DATETIME');
+  }
+};
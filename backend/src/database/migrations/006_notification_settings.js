@@ -0,0 +1,22 @@
+/**
+ * Migration 006: Notification preferences
+ * Per-user event/channel opt-outs
+ */
+
+module.exports = {
+  description: 'User notification settings',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS user_notification_settings (
+        user_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        enabled INTEGER DEFAULT 1,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, event, channel),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration 007: Request quotas
+ * Per-user quota overrides and the seasons each series request counts for
+ */
+
+module.exports = {
+  description: 'Request quotas',
+
+  up(db, { addColumnIfMissing }) {
+    addColumnIfMissing('users', 'quota_movie_limit', 'INTEGER');
+    addColumnIfMissing('users', 'quota_tv_limit', 'INTEGER');
+    addColumnIfMissing('users', 'quota_days', 'INTEGER');
+    addColumnIfMissing('content_requests', 'season_count', 'INTEGER');
+    addColumnIfMissing('rss_items', 'season_count', 'INTEGER');
+  }
+};
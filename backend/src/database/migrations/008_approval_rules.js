@@ -0,0 +1,27 @@
+/**
+ * Migration 008: Auto-approval rules
+ * Rules for skipping the approval queue and the user groups they match
+ */
+
+module.exports = {
+  description: 'Auto-approval rules',
+
+  up(db, { addColumnIfMissing }) {
+    addColumnIfMissing('users', 'user_group', 'TEXT');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS approval_rules (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        action TEXT NOT NULL CHECK(action IN ('approve', 'never')),
+        conditions TEXT NOT NULL DEFAULT '{}',
+        priority INTEGER DEFAULT 0,
+        enabled INTEGER DEFAULT 1,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * Migration 009: "available" request status
+ * SQLite can't alter a CHECK constraint, so content_requests is rebuilt
+ */
+
+module.exports = {
+  description: 'Add available request status',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE content_requests_new (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        server_id TEXT NOT NULL,
+        tmdb_id INTEGER NOT NULL,
+        content_type TEXT NOT NULL CHECK(content_type IN ('movie', 'tv')),
+        title TEXT NOT NULL,
+        year INTEGER,
+        overview TEXT,
+        poster_path TEXT,
+        status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected', 'downloaded', 'available')),
+        seasons TEXT,
+        requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        processed_at DATETIME,
+        processed_by TEXT,
+        notes TEXT,
+        downloaded_at DATETIME,
+        available_at DATETIME,
+        last_event TEXT,
+        last_event_at DATETIME,
+        season_count INTEGER,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (server_id) REFERENCES plex_servers(id) ON DELETE CASCADE,
+        FOREIGN KEY (processed_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      INSERT INTO content_requests_new (
+        id, user_id, server_id, tmdb_id, content_type, title, year, overview, poster_path, status, seasons,
+        requested_at, processed_at, processed_by, notes, downloaded_at, available_at, last_event, last_event_at, season_count
+      )
+      SELECT
+        id, user_id, server_id, tmdb_id, content_type, title, year, overview, poster_path,
+        CASE WHEN status = 'downloaded' AND available_at IS NOT NULL THEN 'available' ELSE status END,
+        seasons, requested_at, processed_at, processed_by, notes, downloaded_at, available_at, last_event, last_event_at, season_count
+      FROM content_requests;
+
+      DROP TABLE content_requests;
+      ALTER TABLE content_requests_new RENAME TO content_requests;
+
+      CREATE INDEX idx_requests_user ON content_requests(user_id);
+      CREATE INDEX idx_requests_status ON content_requests(status);
+    `);
+  }
+};
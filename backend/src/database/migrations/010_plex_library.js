@@ -0,0 +1,68 @@
+/**
+ * Migration 010: Plex library index
+ * Local copy of each server's movies, shows, seasons and episodes
+ */
+
+module.exports = {
+  description: 'Plex library index',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS plex_library_items (
+        server_id TEXT NOT NULL,
+        rating_key TEXT NOT NULL,
+        section_id TEXT NOT NULL,
+        type TEXT NOT NULL CHECK(type IN ('movie', 'show')),
+        title TEXT NOT NULL,
+        original_title TEXT,
+        year INTEGER,
+        tmdb_id INTEGER,
+        tvdb_id INTEGER,
+        imdb_id TEXT,
+        season_count INTEGER,
+        episode_count INTEGER,
+        added_at DATETIME,
+        updated_at DATETIME,
+        PRIMARY KEY (server_id, rating_key),
+        FOREIGN KEY (server_id) REFERENCES plex_servers(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS plex_library_seasons (
+        server_id TEXT NOT NULL,
+        rating_key TEXT NOT NULL,
+        show_rating_key TEXT NOT NULL,
+        season_number INTEGER NOT NULL,
+        episode_count INTEGER,
+        PRIMARY KEY (server_id, rating_key),
+        FOREIGN KEY (server_id) REFERENCES plex_servers(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS plex_library_episodes (
+        server_id TEXT NOT NULL,
+        rating_key TEXT NOT NULL,
+        show_rating_key TEXT NOT NULL,
+        season_number INTEGER NOT NULL,
+        episode_number INTEGER,
+        title TEXT,
+        PRIMARY KEY (server_id, rating_key),
+        FOREIGN KEY (server_id) REFERENCES plex_servers(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS plex_library_sync (
+        server_id TEXT PRIMARY KEY,
+        last_full_sync DATETIME,
+        last_refresh DATETIME,
+        item_count INTEGER DEFAULT 0,
+        last_error TEXT,
+        FOREIGN KEY (server_id) REFERENCES plex_servers(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_plex_items_tmdb ON plex_library_items(server_id, type, tmdb_id);
+      CREATE INDEX IF NOT EXISTS idx_plex_items_tvdb ON plex_library_items(server_id, type, tvdb_id);
+      CREATE INDEX IF NOT EXISTS idx_plex_items_imdb ON plex_library_items(server_id, type, imdb_id);
+      CREATE INDEX IF NOT EXISTS idx_plex_items_title ON plex_library_items(server_id, type, title COLLATE NOCASE);
+      CREATE INDEX IF NOT EXISTS idx_plex_seasons_show ON plex_library_seasons(server_id, show_rating_key);
+      CREATE INDEX IF NOT EXISTS idx_plex_episodes_show ON plex_library_episodes(server_id, show_rating_key, season_number);
+    `);
+  }
+};
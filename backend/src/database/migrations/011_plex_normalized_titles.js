@@ -0,0 +1,16 @@
+/**
+ * Migration 011: Normalized Plex titles
+ * Lets the library index match titles regardless of accents and punctuation
+ */
+
+module.exports = {
+  description: 'Normalized Plex library titles',
+
+  up(db, { addColumnIfMissing }) {
+    addColumnIfMissing('plex_library_items', 'normalized_title', 'TEXT');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_plex_items_normalized ON plex_library_items(server_id, type, normalized_title)');
+
+    // Existing rows have no normalized title; the next refresh rebuilds each index
+    db.exec('DELETE FROM plex_library_sync');
+  }
+};
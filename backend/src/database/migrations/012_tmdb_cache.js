@@ -0,0 +1,21 @@
+/**
+ * Migration 012: TMDB response cache
+ * Persists TMDB responses so they survive restarts and outages
+ */
+
+module.exports = {
+  description: 'TMDB response cache',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS tmdb_cache (
+        cache_key TEXT PRIMARY KEY,
+        endpoint_type TEXT NOT NULL,
+        response TEXT NOT NULL,
+        fetched_at DATETIME NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_tmdb_cache_fetched ON tmdb_cache(endpoint_type, fetched_at);
+    `);
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration 013: Watchlist
+ * Titles users follow for release and new season notifications
+ */
+
+module.exports = {
+  description: 'User watchlist',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS watchlist (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        tmdb_id INTEGER NOT NULL,
+        content_type TEXT NOT NULL CHECK(content_type IN ('movie', 'tv')),
+        title TEXT NOT NULL,
+        year INTEGER,
+        poster_path TEXT,
+        auto_request INTEGER DEFAULT 0,
+        released INTEGER,
+        last_season INTEGER,
+        last_checked_at DATETIME,
+        last_notified_at DATETIME,
+        last_request_id TEXT,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, tmdb_id, content_type),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (last_request_id) REFERENCES content_requests(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_watchlist_title ON watchlist(content_type, tmdb_id);
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Migration 014: Follow future seasons
+ * Per-request flag for extending series requests with new seasons, and the
+ * season count TMDB reported when the request was last checked
+ */
+
+module.exports = {
+  description: 'Follow future seasons of series requests',
+
+  up(db, { addColumnIfMissing }) {
+    addColumnIfMissing('content_requests', 'follow_seasons', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('content_requests', 'known_seasons', 'INTEGER');
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration 015: Request comments
+ * Conversation thread between the requester and admins on each request
+ */
+
+module.exports = {
+  description: 'Request comments',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS request_comments (
+        id TEXT PRIMARY KEY,
+        request_id TEXT NOT NULL,
+        user_id TEXT,
+        body TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (request_id) REFERENCES content_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_request_comments_request ON request_comments(request_id, created_at);
+    `);
+  }
+};
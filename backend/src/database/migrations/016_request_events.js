@@ -0,0 +1,42 @@
+/**
+ * Migration 016: Request events
+ * Lifecycle timeline per request, backfilled from the existing timestamps
+ */
+
+module.exports = {
+  description: 'Request lifecycle events',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS request_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        user_id TEXT,
+        details TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (request_id) REFERENCES content_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_request_events_request ON request_events(request_id, created_at);
+
+      INSERT INTO request_events (request_id, event, user_id, created_at)
+      SELECT id, 'created', user_id, requested_at FROM content_requests;
+
+      INSERT INTO request_events (request_id, event, user_id, created_at)
+      SELECT id,
+             CASE WHEN status = 'rejected' THEN 'rejected'
+                  WHEN processed_by IS NULL THEN 'auto_approved'
+                  ELSE 'approved' END,
+             processed_by, processed_at
+      FROM content_requests WHERE processed_at IS NOT NULL;
+
+      INSERT INTO request_events (request_id, event, created_at)
+      SELECT id, 'downloaded', downloaded_at FROM content_requests WHERE downloaded_at IS NOT NULL;
+
+      INSERT INTO request_events (request_id, event, created_at)
+      SELECT id, 'available', available_at FROM content_requests WHERE available_at IS NOT NULL;
+    `);
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration 017: Request list indexes
+ * Keeps the paginated request list fast on large installs
+ */
+
+module.exports = {
+  description: 'Request list indexes',
+
+  up(db) {
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_content_requests_requested ON content_requests(requested_at);
+      CREATE INDEX IF NOT EXISTS idx_content_requests_user ON content_requests(user_id, requested_at);
+      CREATE INDEX IF NOT EXISTS idx_content_requests_status ON content_requests(status, requested_at);
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Migration 018: Follow future seasons of series added directly
+ * The same flag and season count as migration 014, for RSS items added
+ * without a request
+ */
+
+module.exports = {
+  description: 'Follow future seasons of series added directly',
+
+  up(db, { addColumnIfMissing }) {
+    addColumnIfMissing('rss_items', 'follow_seasons', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('rss_items', 'known_seasons', 'INTEGER');
+  }
+};
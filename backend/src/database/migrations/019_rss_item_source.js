@@ -0,0 +1,27 @@
+/**
+ * Migration 019: RSS item source
+ * Records whether an RSS item was added directly or by approving a request,
+ * so the new_seasons job only follows series added directly. Existing items
+ * count as added directly when they follow future seasons, or when nothing was
+ * requested for them and the user who added them can add directly.
+ */
+
+module.exports = {
+  description: 'Record how RSS items were added',
+
+  up(db, { addColumnIfMissing }) {
+    addColumnIfMissing('rss_items', 'source', "TEXT DEFAULT 'request'");
+
+    db.exec(`
+      UPDATE rss_items SET source = 'direct'
+      WHERE follow_seasons = 1 OR (
+        NOT EXISTS (
+          SELECT 1 FROM content_requests r
+          WHERE r.server_id = rss_items.server_id AND r.content_type = rss_items.content_type
+            AND r.tmdb_id = rss_items.tmdb_id
+        )
+        AND EXISTS (SELECT 1 FROM users u WHERE u.id = rss_items.added_by AND u.can_add_directly = 1)
+      )
+    `);
+  }
+};
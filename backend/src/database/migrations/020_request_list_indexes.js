@@ -0,0 +1,20 @@
+/**
+ * Migration 020: Extend the request user and status indexes
+ * Adds the request date the list sorts by to the indexes from the initial
+ * schema, replacing the duplicates migration 017 created next to them
+ */
+
+module.exports = {
+  description: 'Extend the request user and status indexes',
+
+  up(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_content_requests_user;
+      DROP INDEX IF EXISTS idx_content_requests_status;
+      DROP INDEX IF EXISTS idx_requests_user;
+      DROP INDEX IF EXISTS idx_requests_status;
+      CREATE INDEX idx_requests_user ON content_requests(user_id, requested_at);
+      CREATE INDEX idx_requests_status ON content_requests(status, requested_at);
+    `);
+  }
+};
@@ -12,6 +12,10 @@ const rateLimit = require('express-rate-limit');
 const db = require('./database');
 const { initializeDatabase } = require('./database/init');
 
+// Import background jobs
+const { registerJobs } = require('./jobs');
+const { startScheduler } = require('./services/scheduler');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const setupRoutes = require('./routes/setup');
@@ -22,6 +26,8 @@ const requestRoutes = require('./routes/requests');
 const rssRoutes = require('./routes/rss');
 const adminRoutes = require('./routes/admin');
 const backupRoutes = require('./routes/backup');
+const webhookRoutes = require('./routes/webhooks');
+const watchlistRoutes = require('./routes/watchlist');
 
 // Import middleware
 const { authenticateToken, optionalAuth } = require('./middleware/auth');
@@ -73,11 +79,15 @@ app.get('/api/setup/status', (req, res) => {
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/setup', requireNoSetup, setupRoutes);
 
+// Webhooks (authenticated by per-server webhook secret)
+app.use('/api/webhooks', webhookRoutes);
+
 // Protected routes (require authentication)
 app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/servers', authenticateToken, serverRoutes);
 app.use('/api/search', authenticateToken, searchRoutes);
 app.use('/api/requests', authenticateToken, requestRoutes);
+app.use('/api/watchlist', authenticateToken, watchlistRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
 app.use('/api/backup', authenticateToken, backupRoutes);
 
@@ -114,6 +124,10 @@ async function startServer() {
     } else {
       console.log('⚠️  First-time setup required - visit the web interface');
     }
+
+    // Start background jobs
+    registerJobs();
+    startScheduler();
     
     app.listen(PORT, () => {
       console.log(`✅ Server running on http://localhost:${PORT}`);
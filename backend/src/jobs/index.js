@@ -0,0 +1,32 @@
+/**
+ * Background Jobs
+ * Registers all jobs with the scheduler
+ */
+
+const { registerJob } = require('../services/scheduler');
+const requestSync = require('./requestSync');
+const plexLibrarySync = require('./plexLibrarySync');
+const plexLibraryRefresh = require('./plexLibraryRefresh');
+const tmdbCachePrune = require('./tmdbCachePrune');
+const watchlistCheck = require('./watchlistCheck');
+const newSeasons = require('./newSeasons');
+
+const JOBS = [
+  requestSync,
+  plexLibrarySync,
+  plexLibraryRefresh,
+  tmdbCachePrune,
+  watchlistCheck,
+  newSeasons
+];
+
+/**
+ * Register all background jobs
+ */
+function registerJobs() {
+  for (const job of JOBS) {
+    registerJob(job.name, job);
+  }
+}
+
+module.exports = { registerJobs };
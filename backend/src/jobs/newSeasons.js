@@ -0,0 +1,256 @@
+/**
+ * New Seasons Job
+ * Follows approved series requests, and series added directly (RSS items), for
+ * seasons added on TMDB after they were requested. Those that follow future
+ * seasons are extended (and monitored in Sonarr); others get a pending request
+ * for the requester.
+ */
+
+const db = require('../database');
+const { decrypt } = require('../database');
+const { tmdbGet } = require('../services/tmdb');
+const { getTvdbId } = require('../services/idMapping');
+const { notify } = require('../services/notifications');
+const { addRequestEvent } = require('../services/requestEvents');
+const {
+  monitorSonarrSeasons,
+  trackRssItem,
+  getUncoveredSeasons,
+  submitAutomaticRequest
+} = require('../services/requests');
+
+/**
+ * Monitor new seasons of a series in Sonarr. Returns false when they couldn't
+ * all be monitored yet (Sonarr unreachable, or it doesn't list a season yet),
+ * so the next run tries again. Servers without Sonarr have nothing to monitor.
+ */
+async function monitorNewSeasons(serverId, tmdbId, title, newSeasons) {
+  const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(serverId);
+  if (!server?.sonarr_url || !server.sonarr_api_key) return true;
+
+  try {
+    const tvdbId = await getTvdbId(tmdbId);
+    if (!tvdbId) {
+      console.error(`[Jobs] No TVDB id for "${title}", can't monitor season ${newSeasons.join(', ')}`);
+      return false;
+    }
+
+    const result = await monitorSonarrSeasons(server, decrypt(server.sonarr_api_key), tvdbId, newSeasons);
+    if (!result.sonarrId) {
+      console.error(`[Jobs] "${title}" isn't in Sonarr, can't monitor season ${newSeasons.join(', ')}`);
+      return false;
+    }
+    if (result.missingSeasons.length > 0) {
+      console.log(`[Jobs] Sonarr doesn't list season ${result.missingSeasons.join(', ')} of "${title}" yet`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`[Jobs] Sonarr monitoring failed for "${title}":`, error.response?.data || error.message);
+    return false;
+  }
+}
+
+/**
+ * Add new seasons to a request that follows future seasons, once they are
+ * monitored in Sonarr, and track them in the RSS feed. The request goes back
+ * to approved until the new seasons are downloaded. Returns whether it was extended.
+ */
+async function extendRequest(request, newSeasons) {
+  if (!await monitorNewSeasons(request.server_id, request.tmdb_id, request.title, newSeasons)) return false;
+
+  const seasons = [...new Set([...JSON.parse(request.seasons), ...newSeasons])].sort((a, b) => a - b);
+
+  db.prepare(`
+    UPDATE content_requests
+    SET seasons = ?, season_count = ?, status = 'approved', downloaded_at = NULL, available_at = NULL
+    WHERE id = ?
+  `).run(JSON.stringify(seasons), seasons.length, request.id);
+
+  trackRssItem({
+    serverId: request.server_id,
+    contentType: 'tv',
+    tmdbId: request.tmdb_id,
+    title: request.title,
+    year: request.year,
+    overview: request.overview,
+    posterPath: request.poster_path,
+    seasons: newSeasons,
+    seasonCount: newSeasons.length,
+    addedBy: null
+  });
+
+  db.prepare(`
+    INSERT INTO audit_log (user_id, action, details, ip_address)
+    VALUES (?, ?, ?, ?)
+  `).run(null, 'extend_request', `Added season ${newSeasons.join(', ')} to request: ${request.title}`, null);
+  addRequestEvent(request.id, 'extended', { details: { seasons: newSeasons } });
+
+  notify('request_new_season', { ...request, status: 'approved' }, {
+    seasonList: `season ${newSeasons.join(', ')}`,
+    followed: true
+  });
+  return true;
+}
+
+/**
+ * Add new seasons to a series added directly that follows future seasons,
+ * once they are monitored in Sonarr. Returns whether it was extended.
+ */
+async function extendRssItem(item, newSeasons) {
+  if (!await monitorNewSeasons(item.server_id, item.tmdb_id, item.title, newSeasons)) return false;
+
+  trackRssItem({
+    serverId: item.server_id,
+    contentType: 'tv',
+    tmdbId: item.tmdb_id,
+    title: item.title,
+    seasons: newSeasons,
+    seasonCount: newSeasons.length,
+    addedBy: item.added_by
+  });
+
+  db.prepare(`
+    INSERT INTO audit_log (user_id, action, details, ip_address)
+    VALUES (?, ?, ?, ?)
+  `).run(null, 'extend_rss_item', `Added season ${newSeasons.join(', ')} of ${item.title}`, null);
+  return true;
+}
+
+/**
+ * Create a pending request for the new seasons on behalf of the original
+ * requester (row is a request or an RSS item). Returns false when nothing was
+ * requested and the next run should try again, i.e. the quota is used up.
+ */
+async function requestNewSeasons(row, userId, newSeasons) {
+  // Seasons an open request already covers don't need requesting again
+  if (!getUncoveredSeasons(row.server_id, row.tmdb_id, 'tv', newSeasons)) return true;
+
+  const created = await submitAutomaticRequest({
+    userId,
+    serverId: row.server_id,
+    tmdbId: row.tmdb_id,
+    contentType: 'tv',
+    title: row.title,
+    year: row.year,
+    overview: row.overview,
+    posterPath: row.poster_path,
+    seasons: newSeasons,
+    source: 'new_seasons'
+  });
+  if (!created) return false;
+
+  db.prepare(`
+    INSERT INTO audit_log (user_id, action, details, ip_address)
+    VALUES (?, ?, ?, ?)
+  `).run(userId, 'request_new_season', `Requested season ${newSeasons.join(', ')} of ${row.title}`, null);
+
+  // Reload it, since an approval rule may already have approved it
+  const current = db.prepare('SELECT * FROM content_requests WHERE id = ?').get(created.id);
+  notify('request_new_season', current, { seasonList: `season ${newSeasons.join(', ')}`, followed: false });
+  return true;
+}
+
+/**
+ * Seasons TMDB added since the row (request or RSS item) was last checked that
+ * it doesn't already include
+ */
+function getNewSeasons(row, total) {
+  const requested = JSON.parse(row.seasons);
+  const newSeasons = [];
+  for (let n = row.known_seasons + 1; n <= total; n++) {
+    if (!requested.includes(n)) newSeasons.push(n);
+  }
+  return newSeasons;
+}
+
+/**
+ * Check approved series requests, and series added directly, for seasons TMDB
+ * added since they were requested. The recorded season count only moves on once
+ * the new seasons were handled, so failures are retried on the next run. Rows
+ * from before season counts were recorded at request time only get theirs recorded.
+ */
+async function run() {
+  const summary = { checked: 0, extended: 0, requested: 0, errors: 0 };
+
+  // Requests without a season list already cover every season
+  const requests = db.prepare(`
+    SELECT * FROM content_requests
+    WHERE content_type = 'tv' AND status IN ('approved', 'downloaded', 'available') AND seasons IS NOT NULL
+  `).all();
+
+  // Series added directly have an RSS item but no request following them.
+  // Items tracked by an approval are left alone, even once the request is gone.
+  const rssItems = db.prepare(`
+    SELECT * FROM rss_items i
+    WHERE content_type = 'tv' AND source = 'direct' AND seasons IS NOT NULL AND NOT EXISTS (
+      SELECT 1 FROM content_requests r
+      WHERE r.server_id = i.server_id AND r.content_type = 'tv' AND r.tmdb_id = i.tmdb_id
+        AND r.status IN ('approved', 'downloaded', 'available')
+    )
+  `).all();
+
+  const rows = [
+    ...requests.map(row => ({
+      row,
+      table: 'content_requests',
+      extend: newSeasons => extendRequest(row, newSeasons),
+      request: newSeasons => requestNewSeasons(row, row.user_id, newSeasons)
+    })),
+    ...rssItems.map(row => ({
+      row,
+      table: 'rss_items',
+      extend: newSeasons => extendRssItem(row, newSeasons),
+      // Nobody to request on behalf of once the user who added it is gone
+      request: newSeasons => !row.added_by || requestNewSeasons(row, row.added_by, newSeasons)
+    }))
+  ];
+
+  // One TMDB lookup per series
+  const shows = new Map();
+  for (const { row, table, extend, request } of rows) {
+    if (!shows.has(row.tmdb_id)) shows.set(row.tmdb_id, tmdbGet(`/tv/${row.tmdb_id}`));
+    const recordSeasons = total => db.prepare(`UPDATE ${table} SET known_seasons = ? WHERE id = ?`).run(total, row.id);
+
+    try {
+      const show = await shows.get(row.tmdb_id);
+      const total = show.number_of_seasons || 0;
+      summary.checked++;
+
+      if (row.known_seasons === null) {
+        recordSeasons(total);
+        continue;
+      }
+      if (total <= row.known_seasons) continue;
+
+      const newSeasons = getNewSeasons(row, total);
+      if (newSeasons.length === 0) {
+        recordSeasons(total);
+        continue;
+      }
+
+      if (row.follow_seasons) {
+        if (!await extend(newSeasons)) continue;
+        summary.extended++;
+        console.log(`[Jobs] Extended "${row.title}" with season ${newSeasons.join(', ')}`);
+      } else {
+        if (!await request(newSeasons)) continue;
+        summary.requested++;
+        console.log(`[Jobs] Requested season ${newSeasons.join(', ')} of "${row.title}"`);
+      }
+      recordSeasons(total);
+    } catch (error) {
+      summary.errors++;
+      console.error(`[Jobs] New season check failed for "${row.title}":`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  name: 'new_seasons',
+  description: 'Extend or re-request series requests when new seasons are announced',
+  interval: 12 * 60 * 60 * 1000, // 12 hours
+  run
+};
@@ -0,0 +1,72 @@
+/**
+ * New Seasons Job tests
+ */
+
+jest.mock('../services/tmdb', () => ({ tmdbGet: jest.fn() }));
+jest.mock('../services/notifications', () => ({ notify: jest.fn() }));
+
+const db = require('../database');
+const { tmdbGet } = require('../services/tmdb');
+const { trackRssItem, approveRequest } = require('../services/requests');
+const { run } = require('./newSeasons');
+
+/**
+ * A user's requests, oldest first
+ */
+function requestsOf(userId) {
+  return db.prepare('SELECT * FROM content_requests WHERE user_id = ? ORDER BY requested_at, rowid').all(userId);
+}
+
+beforeAll(() => {
+  db.prepare("INSERT INTO plex_servers (id, name, url, token) VALUES ('server', 'Home', 'http://plex', 'token')").run();
+  db.prepare(`
+    INSERT INTO users (id, username, password_hash, role, can_add_directly, primary_server_id)
+    VALUES ('admin', 'admin', 'x', 'admin', 1, 'server'), ('alice', 'alice', 'x', 'user', 0, 'server')
+  `).run();
+});
+
+beforeEach(() => {
+  db.prepare('DELETE FROM rss_items').run();
+  db.prepare('DELETE FROM content_requests').run();
+  // The series had two seasons when it was added, and now has three
+  tmdbGet.mockResolvedValue({ id: 1399, number_of_seasons: 3 });
+});
+
+describe('new_seasons job', () => {
+  const series = { serverId: 'server', contentType: 'tv', tmdbId: 1399, title: 'Game of Thrones', seasons: [1, 2], seasonCount: 2 };
+
+  test('requests new seasons of a series added directly for the user who added it', async () => {
+    trackRssItem({ ...series, addedBy: 'admin', knownSeasons: 2, source: 'direct' });
+
+    expect(await run()).toMatchObject({ checked: 1, requested: 1 });
+    expect(requestsOf('admin')).toEqual([expect.objectContaining({ status: 'pending', seasons: '[3]' })]);
+
+    // The recorded season count moved on, so nothing is requested twice
+    expect(await run()).toMatchObject({ requested: 0 });
+  });
+
+  test('extends a series added directly that follows future seasons', async () => {
+    trackRssItem({ ...series, addedBy: 'admin', knownSeasons: 2, followSeasons: true, source: 'direct' });
+
+    expect(await run()).toMatchObject({ extended: 1, requested: 0 });
+    expect(db.prepare('SELECT seasons, known_seasons FROM rss_items').get()).toEqual({ seasons: '[1,2,3]', known_seasons: 3 });
+    expect(requestsOf('admin')).toEqual([]);
+  });
+
+  test('leaves series tracked by an approval alone once the request is deleted', async () => {
+    db.prepare(`
+      INSERT INTO content_requests (id, user_id, server_id, tmdb_id, content_type, title, seasons, season_count, known_seasons)
+      VALUES ('request', 'alice', 'server', 1399, 'tv', 'Game of Thrones', '[1,2]', 2, 2)
+    `).run();
+    await approveRequest(db.prepare("SELECT * FROM content_requests WHERE id = 'request'").get(), { approvedBy: 'admin' });
+
+    expect(db.prepare('SELECT added_by, source FROM rss_items').get()).toEqual({ added_by: 'admin', source: 'request' });
+
+    db.prepare("DELETE FROM content_requests WHERE id = 'request'").run();
+
+    // The first run would record the season count and the second request season 3 as the admin
+    await run();
+    expect(await run()).toMatchObject({ checked: 0, requested: 0 });
+    expect(requestsOf('admin')).toEqual([]);
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Plex Library Refresh Job
+ * Adds recently updated Plex items to each server's library index
+ */
+
+const { syncAllLibraries } = require('../services/plexLibrary');
+
+module.exports = {
+  name: 'plex_library_refresh',
+  description: 'Index Plex items added or updated since the last sync',
+  interval: 10 * 60 * 1000, // 10 minutes
+  run: () => syncAllLibraries({ full: false })
+};
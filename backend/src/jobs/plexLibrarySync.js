@@ -0,0 +1,13 @@
+/**
+ * Plex Library Sync Job
+ * Rebuilds each server's Plex library index from scratch
+ */
+
+const { syncAllLibraries } = require('../services/plexLibrary');
+
+module.exports = {
+  name: 'plex_library_sync',
+  description: 'Rebuild the local index of every Plex library',
+  interval: 6 * 60 * 60 * 1000, // 6 hours
+  run: () => syncAllLibraries({ full: true })
+};
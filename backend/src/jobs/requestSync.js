@@ -0,0 +1,184 @@
+/**
+ * Request Status Sync Job
+ * Reconciles approved requests with Radarr, Sonarr and Plex
+ */
+
+const axios = require('axios');
+const db = require('../database');
+const { decrypt } = require('../database');
+const { getTvdbId, resolveExternalIds } = require('../services/idMapping');
+const { tmdbGet } = require('../services/tmdb');
+const { lookupPlexItem } = require('../services/plexLibrary');
+const { getSeasonAvailability } = require('../services/tvAvailability');
+const { notify } = require('../services/notifications');
+const { addRequestEvent } = require('../services/requestEvents');
+
+/**
+ * Fetch the full Radarr movie or Sonarr series list for a server
+ */
+async function fetchArrLibrary(server, service) {
+  const url = server[`${service}_url`];
+  const apiKey = server[`${service}_api_key`];
+  if (!url || !apiKey) return null;
+
+  const response = await axios.get(`${url}/api/v3/${service === 'radarr' ? 'movie' : 'series'}`, {
+    headers: { 'X-Api-Key': decrypt(apiKey) },
+    timeout: 30000
+  });
+  return response.data;
+}
+
+/**
+ * Check whether a series has files for every requested season
+ */
+function isSeriesDownloaded(series, requestedSeasons) {
+  const isComplete = stats => stats?.episodeCount > 0 && stats.episodeFileCount >= stats.episodeCount;
+
+  if (!requestedSeasons || requestedSeasons.length === 0) {
+    return isComplete(series.statistics);
+  }
+
+  return requestedSeasons.every(number => {
+    const season = series.seasons?.find(s => s.seasonNumber === parseInt(number));
+    return season && isComplete(season.statistics);
+  });
+}
+
+/**
+ * Check whether a request has been downloaded by Radarr/Sonarr
+ */
+async function checkDownloaded(request, library) {
+  if (!library) return false;
+
+  if (request.content_type === 'movie') {
+    const movie = library.find(m => m.tmdbId === request.tmdb_id);
+    return !!movie?.hasFile;
+  }
+
+  const tvdbId = await getTvdbId(request.tmdb_id);
+  const series = tvdbId && library.find(s => s.tvdbId === tvdbId);
+  if (!series) return false;
+
+  return isSeriesDownloaded(series, request.seasons ? JSON.parse(request.seasons) : null);
+}
+
+/**
+ * Check whether every requested season of a series is complete on Plex.
+ * Without requested seasons the whole show has to be complete.
+ */
+async function areSeasonsOnPlex(server, request, plexShow) {
+  const show = await tmdbGet(`/tv/${request.tmdb_id}`);
+  const availability = await getSeasonAvailability(server, show, plexShow);
+  const requestedSeasons = request.seasons ? JSON.parse(request.seasons) : null;
+
+  if (!requestedSeasons || requestedSeasons.length === 0) {
+    return availability.status === 'complete';
+  }
+
+  return requestedSeasons.every(number => {
+    const season = availability.seasons.find(s => s.seasonNumber === parseInt(number));
+    return season?.status === 'complete';
+  });
+}
+
+/**
+ * Sync the given requests with Radarr/Sonarr and Plex
+ */
+async function syncRequests(requests) {
+  const summary = { checked: 0, downloaded: 0, available: 0, errors: 0 };
+  const markDownloaded = db.prepare(`
+    UPDATE content_requests
+    SET status = 'downloaded', downloaded_at = COALESCE(downloaded_at, datetime('now'))
+    WHERE id = ?
+  `);
+  const markAvailable = db.prepare(`
+    UPDATE content_requests
+    SET status = 'available', available_at = datetime('now')
+    WHERE id = ?
+  `);
+
+  // Group by server so each *arr library is only fetched once
+  const byServer = new Map();
+  for (const request of requests) {
+    if (!byServer.has(request.server_id)) byServer.set(request.server_id, []);
+    byServer.get(request.server_id).push(request);
+  }
+
+  for (const [serverId, serverRequests] of byServer) {
+    const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(serverId);
+    if (!server) continue;
+
+    const libraries = {};
+    for (const service of ['radarr', 'sonarr']) {
+      try {
+        libraries[service] = await fetchArrLibrary(server, service);
+      } catch (error) {
+        console.error(`[Jobs] ${service} library fetch failed for ${server.name}:`, error.message);
+        libraries[service] = null;
+      }
+    }
+
+    for (const request of serverRequests) {
+      summary.checked++;
+      try {
+        const library = libraries[request.content_type === 'movie' ? 'radarr' : 'sonarr'];
+        let downloaded = request.status === 'downloaded';
+
+        if (!downloaded && await checkDownloaded(request, library)) {
+          markDownloaded.run(request.id);
+          addRequestEvent(request.id, 'downloaded');
+          downloaded = true;
+          summary.downloaded++;
+          console.log(`[Jobs] Downloaded: ${request.title}`);
+          notify('request_downloaded', { ...request, status: 'downloaded' });
+        }
+
+        // Series are only available once the requested seasons are downloaded
+        if (request.content_type === 'tv' && library && !downloaded) continue;
+
+        const plexMatch = await lookupPlexItem(server, request.content_type, {
+          tmdbId: request.tmdb_id,
+          ...await resolveExternalIds(request.tmdb_id, request.content_type),
+          title: request.title,
+          year: request.year
+        });
+        if (!plexMatch) continue;
+
+        // A show on Plex may still be missing the requested seasons
+        if (request.content_type === 'tv' && !await areSeasonsOnPlex(server, request, plexMatch.item)) continue;
+
+        if (!downloaded) markDownloaded.run(request.id);
+        markAvailable.run(request.id);
+        addRequestEvent(request.id, 'available', { details: { source: 'sync' } });
+        summary.available++;
+        console.log(`[Jobs] Available on Plex: ${request.title}`);
+        notify('request_available', { ...request, status: 'available' });
+      } catch (error) {
+        summary.errors++;
+        console.error(`[Jobs] Sync failed for "${request.title}":`, error.message);
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Sync the status of every approved request that isn't on Plex yet
+ */
+async function run() {
+  const requests = db.prepare(`
+    SELECT * FROM content_requests
+    WHERE status IN ('approved', 'downloaded') AND available_at IS NULL
+  `).all();
+
+  return syncRequests(requests);
+}
+
+module.exports = {
+  name: 'request_sync',
+  description: 'Update approved requests once they are downloaded or available on Plex',
+  interval: 15 * 60 * 1000, // 15 minutes
+  run,
+  syncRequests
+};
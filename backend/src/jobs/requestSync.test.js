@@ -0,0 +1,156 @@
+/**
+ * Request Status Sync Job tests
+ */
+
+jest.mock('axios');
+jest.mock('../services/tmdb', () => ({ tmdbGet: jest.fn() }));
+jest.mock('../services/plex', () => ({ plexGet: jest.fn() }));
+jest.mock('../services/plexLibrary', () => ({
+  ...jest.requireActual('../services/plexLibrary'),
+  lookupPlexItem: jest.fn()
+}));
+jest.mock('../services/idMapping', () => ({
+  getTvdbId: jest.fn().mockResolvedValue(121361),
+  resolveExternalIds: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../services/notifications', () => ({ notify: jest.fn() }));
+
+const axios = require('axios');
+const db = require('../database');
+const { tmdbGet } = require('../services/tmdb');
+const { plexGet } = require('../services/plex');
+const { lookupPlexItem } = require('../services/plexLibrary');
+const { notify } = require('../services/notifications');
+const { syncRequests } = require('./requestSync');
+
+// Three seasons of two episodes each, all aired
+const show = {
+  id: 1399,
+  seasons: [1, 2, 3].map(n => ({ season_number: n, episode_count: 2 })),
+  last_episode_to_air: { season_number: 3, episode_number: 2 }
+};
+
+/**
+ * Sonarr series with every episode of the given seasons downloaded
+ */
+function sonarrSeries(downloadedSeasons) {
+  return {
+    tvdbId: 121361,
+    seasons: [1, 2, 3].map(n => ({
+      seasonNumber: n,
+      statistics: { episodeCount: 2, episodeFileCount: downloadedSeasons.includes(n) ? 2 : 0 }
+    }))
+  };
+}
+
+/**
+ * Episodes on Plex for the given seasons, as /allLeaves returns them
+ */
+function plexEpisodes(seasons) {
+  return { Metadata: seasons.flatMap(n => [1, 2].map(index => ({ parentIndex: n, index }))) };
+}
+
+/**
+ * Add a request and return it as the job reads it
+ */
+function addRequest(contentType, { seasons = null, status = 'approved' } = {}) {
+  const id = `request-${contentType}-${Math.random().toString(36).slice(2)}`;
+  db.prepare(`
+    INSERT INTO content_requests (id, user_id, server_id, tmdb_id, content_type, title, status, seasons)
+    VALUES (?, 'alice', 'server', ?, ?, 'Title', ?, ?)
+  `).run(id, contentType === 'tv' ? 1399 : 603, contentType, status, seasons && JSON.stringify(seasons));
+  return db.prepare('SELECT * FROM content_requests WHERE id = ?').get(id);
+}
+
+/**
+ * Current status of a request
+ */
+function statusOf(request) {
+  return db.prepare('SELECT status FROM content_requests WHERE id = ?').get(request.id).status;
+}
+
+beforeAll(() => {
+  db.prepare("INSERT INTO users (id, username, password_hash) VALUES ('alice', 'alice', 'x')").run();
+  db.prepare(`
+    INSERT INTO plex_servers (id, name, url, token, sonarr_url, sonarr_api_key)
+    VALUES ('server', 'Home', 'http://plex', 'token', 'http://sonarr', ?)
+  `).run(db.encrypt('key'));
+});
+
+beforeEach(() => {
+  db.prepare('DELETE FROM request_events').run();
+  db.prepare('DELETE FROM content_requests').run();
+  db.prepare('UPDATE plex_servers SET sonarr_url = ?').run('http://sonarr');
+  jest.clearAllMocks();
+  tmdbGet.mockResolvedValue(show);
+  lookupPlexItem.mockResolvedValue({ item: { ratingKey: 20 } });
+});
+
+describe('syncRequests', () => {
+  test('keeps a series downloaded until the requested seasons are on Plex', async () => {
+    const request = addRequest('tv', { seasons: [2, 3] });
+    axios.get.mockResolvedValue({ data: [sonarrSeries([2, 3])] });
+    plexGet.mockResolvedValue(plexEpisodes([1]));
+
+    const summary = await syncRequests([request]);
+
+    expect(summary).toMatchObject({ downloaded: 1, available: 0 });
+    expect(statusOf(request)).toBe('downloaded');
+    expect(notify).not.toHaveBeenCalledWith('request_available', expect.anything());
+  });
+
+  test('marks a series available once every requested season is on Plex', async () => {
+    const request = addRequest('tv', { seasons: [2, 3], status: 'downloaded' });
+    axios.get.mockResolvedValue({ data: [sonarrSeries([2, 3])] });
+    plexGet.mockResolvedValue(plexEpisodes([2, 3]));
+
+    expect(await syncRequests([request])).toMatchObject({ available: 1 });
+    expect(statusOf(request)).toBe('available');
+    expect(notify).toHaveBeenCalledWith('request_available', expect.objectContaining({ id: request.id }));
+  });
+
+  test('does not count a partially downloaded season on Plex', async () => {
+    const request = addRequest('tv', { seasons: [2], status: 'downloaded' });
+    axios.get.mockResolvedValue({ data: [sonarrSeries([2])] });
+    plexGet.mockResolvedValue({ Metadata: [{ parentIndex: 2, index: 1 }] });
+
+    await syncRequests([request]);
+
+    expect(statusOf(request)).toBe('downloaded');
+  });
+
+  test('needs the whole show on Plex for a request without seasons', async () => {
+    const request = addRequest('tv', { status: 'downloaded' });
+    axios.get.mockResolvedValue({ data: [] });
+    plexGet.mockResolvedValue(plexEpisodes([1, 2]));
+
+    await syncRequests([request]);
+    expect(statusOf(request)).toBe('downloaded');
+
+    plexGet.mockResolvedValue(plexEpisodes([1, 2, 3]));
+    await syncRequests([request]);
+    expect(statusOf(request)).toBe('available');
+  });
+
+  test('checks the requested seasons on Plex when Sonarr is not configured', async () => {
+    db.prepare('UPDATE plex_servers SET sonarr_url = NULL').run();
+    const request = addRequest('tv', { seasons: [3] });
+    plexGet.mockResolvedValue(plexEpisodes([1, 2]));
+
+    await syncRequests([request]);
+    expect(statusOf(request)).toBe('approved');
+
+    plexGet.mockResolvedValue(plexEpisodes([3]));
+    await syncRequests([request]);
+    expect(statusOf(request)).toBe('available');
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('marks a movie available as soon as it is on Plex', async () => {
+    const request = addRequest('movie');
+
+    expect(await syncRequests([request])).toMatchObject({ available: 1 });
+    expect(statusOf(request)).toBe('available');
+    expect(tmdbGet).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * TMDB Cache Prune Job
+ * Deletes cached TMDB responses too old to be served, even as stale data
+ */
+
+const { pruneTmdbCache } = require('../services/tmdbCache');
+
+module.exports = {
+  name: 'tmdb_cache_prune',
+  description: 'Delete expired TMDB cache entries',
+  interval: 24 * 60 * 60 * 1000, // 24 hours
+  run: () => ({ removed: pruneTmdbCache() })
+};
@@ -0,0 +1,13 @@
+/**
+ * Watchlist Check Job
+ * Notifies users about released titles and new seasons on their watchlist
+ */
+
+const { checkWatchlist } = require('../services/watchlist');
+
+module.exports = {
+  name: 'watchlist_check',
+  description: 'Check watchlisted titles for releases and new seasons',
+  interval: 6 * 60 * 60 * 1000, // 6 hours
+  run: () => checkWatchlist()
+};
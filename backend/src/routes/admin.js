@@ -4,9 +4,14 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const db = require('../database');
 const { encrypt, decrypt } = require('../database');
 const { requireAdmin } = require('../middleware/auth');
+const { getJobs, runJobNow } = require('../services/scheduler');
+const { sendTestNotification } = require('../services/notifications');
+const { validateRule, formatRule } = require('../services/approvalRules');
+const { getCacheNamespaces, clearCache, getCacheStats } = require('../services/cache');
 
 const router = express.Router();
 
@@ -177,27 +182,252 @@ router.get('/audit', (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/cache
+ * Entry counts, hit rates and oldest entry per cache namespace
+ */
+router.get('/cache', (req, res) => {
+  try {
+    res.json({ namespaces: getCacheStats() });
+  } catch (error) {
+    console.error('Get cache stats error:', error.message);
+    res.status(500).json({ error: 'Failed to get cache stats' });
+  }
+});
+
+/**
+ * DELETE /api/admin/cache?scope=&serverId=
+ * Clear one namespace (or all), optionally only one server's entries
+ */
+router.delete('/cache', (req, res) => {
+  try {
+    const { scope = 'all', serverId } = req.query;
+
+    const namespaces = getCacheNamespaces();
+    if (scope !== 'all' && !namespaces.includes(scope)) {
+      return res.status(400).json({ error: `Scope must be one of: all, ${namespaces.join(', ')}` });
+    }
+
+    if (serverId && !db.prepare('SELECT id FROM plex_servers WHERE id = ?').get(serverId)) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    const cleared = clearCache(scope === 'all' ? null : scope, { serverId: serverId || null });
+
+    // Log the action
+    db.prepare(`
+      INSERT INTO audit_log (user_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(req.user.id, 'clear_cache', `Cleared ${scope} cache${serverId ? ` for server ${serverId}` : ''} (${cleared} entries)`, req.ip);
+
+    res.json({ message: 'Cache cleared', scope, serverId: serverId || null, cleared });
+  } catch (error) {
+    console.error('Clear cache error:', error.message);
+    res.status(500).json({ error: 'Failed to clear cache' });
+  }
+});
+
 /**
  * POST /api/admin/clear-cache
- * Clear availability cache
+ * Clear every cache
  */
 router.post('/clear-cache', (req, res) => {
   try {
-    // Clear in-memory caches (would need to import from search routes in real implementation)
-    
+    const cleared = clearCache();
+
     // Log the action
     db.prepare(`
       INSERT INTO audit_log (user_id, action, details, ip_address)
       VALUES (?, ?, ?, ?)
-    `).run(req.user.id, 'clear_cache', 'Cleared availability cache', req.ip);
+    `).run(req.user.id, 'clear_cache', `Cleared all caches (${cleared} entries)`, req.ip);
 
-    res.json({ message: 'Cache cleared' });
+    res.json({ message: 'Cache cleared', cleared });
   } catch (error) {
     console.error('Clear cache error:', error.message);
     res.status(500).json({ error: 'Failed to clear cache' });
   }
 });
 
+/**
+ * POST /api/admin/notifications/test
+ * Send a test notification through one channel, or all channels when none is given
+ */
+router.post('/notifications/test', async (req, res) => {
+  try {
+    const { channel } = req.body;
+    const user = db.prepare('SELECT id, username, email FROM users WHERE id = ?').get(req.user.id);
+
+    const results = await sendTestNotification(user, channel);
+    res.json(results);
+  } catch (error) {
+    console.error('Test notification error:', error.message);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
+/**
+ * GET /api/admin/jobs
+ * List background jobs with their last and next run
+ */
+router.get('/jobs', (req, res) => {
+  try {
+    res.json(getJobs());
+  } catch (error) {
+    console.error('Get jobs error:', error.message);
+    res.status(500).json({ error: 'Failed to get jobs' });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Run a background job now
+ */
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    const job = await runJobNow(req.params.name);
+
+    // Log the action
+    db.prepare(`
+      INSERT INTO audit_log (user_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(req.user.id, 'run_job', `Ran job: ${req.params.name}`, req.ip);
+
+    res.json(job);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Run job error:', error.message);
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+});
+
+/**
+ * GET /api/admin/rules
+ * List auto-approval rules in evaluation order
+ */
+router.get('/rules', (req, res) => {
+  try {
+    const rules = db.prepare('SELECT * FROM approval_rules ORDER BY priority ASC, created_at ASC').all();
+    res.json(rules.map(formatRule));
+  } catch (error) {
+    console.error('Get rules error:', error.message);
+    res.status(500).json({ error: 'Failed to get rules' });
+  }
+});
+
+/**
+ * POST /api/admin/rules
+ * Create an auto-approval rule
+ */
+router.post('/rules', (req, res) => {
+  try {
+    const { name, action, conditions = {}, priority = 0, enabled = true } = req.body;
+
+    const validationError = validateRule({ name, action, conditions });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const ruleId = crypto.randomUUID();
+    db.prepare(`
+      INSERT INTO approval_rules (id, name, action, conditions, priority, enabled, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      ruleId,
+      name.trim(),
+      action,
+      JSON.stringify(conditions),
+      parseInt(priority) || 0,
+      enabled ? 1 : 0,
+      req.user.id
+    );
+
+    // Log the action
+    db.prepare(`
+      INSERT INTO audit_log (user_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(req.user.id, 'create_rule', `Created ${action} rule: ${name.trim()}`, req.ip);
+
+    const rule = db.prepare('SELECT * FROM approval_rules WHERE id = ?').get(ruleId);
+    res.status(201).json(formatRule(rule));
+  } catch (error) {
+    console.error('Create rule error:', error.message);
+    res.status(500).json({ error: 'Failed to create rule' });
+  }
+});
+
+/**
+ * PUT /api/admin/rules/:id
+ * Update an auto-approval rule
+ */
+router.put('/rules/:id', (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM approval_rules WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const current = formatRule(existing);
+    const {
+      name = current.name,
+      action = current.action,
+      conditions = current.conditions,
+      priority = current.priority,
+      enabled = current.enabled
+    } = req.body;
+
+    const validationError = validateRule({ name, action, conditions });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    db.prepare(`
+      UPDATE approval_rules
+      SET name = ?, action = ?, conditions = ?, priority = ?, enabled = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(name.trim(), action, JSON.stringify(conditions), parseInt(priority) || 0, enabled ? 1 : 0, existing.id);
+
+    // Log the action
+    db.prepare(`
+      INSERT INTO audit_log (user_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(req.user.id, 'update_rule', `Updated rule: ${name.trim()}`, req.ip);
+
+    const rule = db.prepare('SELECT * FROM approval_rules WHERE id = ?').get(existing.id);
+    res.json(formatRule(rule));
+  } catch (error) {
+    console.error('Update rule error:', error.message);
+    res.status(500).json({ error: 'Failed to update rule' });
+  }
+});
+
+/**
+ * DELETE /api/admin/rules/:id
+ * Delete an auto-approval rule
+ */
+router.delete('/rules/:id', (req, res) => {
+  try {
+    const rule = db.prepare('SELECT * FROM approval_rules WHERE id = ?').get(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    db.prepare('DELETE FROM approval_rules WHERE id = ?').run(rule.id);
+
+    // Log the action
+    db.prepare(`
+      INSERT INTO audit_log (user_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(req.user.id, 'delete_rule', `Deleted rule: ${rule.name}`, req.ip);
+
+    res.json({ message: 'Rule deleted' });
+  } catch (error) {
+    console.error('Delete rule error:', error.message);
+    res.status(500).json({ error: 'Failed to delete rule' });
+  }
+});
+
 /**
  * POST /api/admin/cleanup-sessions
  * Clean up expired sessions
@@ -44,16 +44,27 @@ router.get('/export', (req, res) => {
         radarrUrl: s.radarr_url,
         radarrApiKey: s.radarr_api_key, // Already encrypted
         sonarrUrl: s.sonarr_url,
-        sonarrApiKey: s.sonarr_api_key // Already encrypted
+        sonarrApiKey: s.sonarr_api_key, // Already encrypted
+        radarrQualityProfileId: s.radarr_quality_profile_id,
+        radarrRootFolder: s.radarr_root_folder,
+        radarrTags: s.radarr_tags,
+        sonarrQualityProfileId: s.sonarr_quality_profile_id,
+        sonarrRootFolder: s.sonarr_root_folder,
+        sonarrLanguageProfileId: s.sonarr_language_profile_id,
+        sonarrTags: s.sonarr_tags,
+        webhookSecret: s.webhook_secret // Already encrypted
       })),
       
       // RSS items
-      rssItems: db.prepare('SELECT * FROM rss_items').all()
+      rssItems: db.prepare('SELECT * FROM rss_items').all(),
+
+      // Auto-approval rules
+      approvalRules: db.prepare('SELECT * FROM approval_rules').all()
     };
 
     if (includeUsers === 'true' || includeUsers === true) {
       backup.users = db.prepare(`
-        SELECT id, username, email, role, can_add_directly, primary_server_id, created_at
+        SELECT id, username, email, role, can_add_directly, primary_server_id, user_group, created_at
         FROM users
       `).all();
       
@@ -123,6 +134,7 @@ router.post('/import', (req, res) => {
       if (mergeMode === 'replace') {
         // Clear existing data (except current user and essential settings)
         db.prepare('DELETE FROM rss_items').run();
+        db.prepare('DELETE FROM approval_rules').run();
         db.prepare('DELETE FROM content_requests').run();
         db.prepare('DELETE FROM user_servers WHERE user_id != ?').run(req.user.id);
         db.prepare('DELETE FROM plex_servers').run();
@@ -139,8 +151,12 @@ router.post('/import', (req, res) => {
 
       // Import servers
       const insertServer = db.prepare(`
-        INSERT OR REPLACE INTO plex_servers (id, name, url, token, library_section_id, radarr_url, radarr_api_key, sonarr_url, sonarr_api_key)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT OR REPLACE INTO plex_servers (
+          id, name, url, token, library_section_id, radarr_url, radarr_api_key, sonarr_url, sonarr_api_key,
+          radarr_quality_profile_id, radarr_root_folder, radarr_tags,
+          sonarr_quality_profile_id, sonarr_root_folder, sonarr_language_profile_id, sonarr_tags, webhook_secret
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       for (const server of data.servers || []) {
         insertServer.run(
@@ -152,15 +168,23 @@ router.post('/import', (req, res) => {
           server.radarrUrl,
           server.radarrApiKey,
           server.sonarrUrl,
-          server.sonarrApiKey
+          server.sonarrApiKey,
+          server.radarrQualityProfileId || null,
+          server.radarrRootFolder || null,
+          server.radarrTags || null,
+          server.sonarrQualityProfileId || null,
+          server.sonarrRootFolder || null,
+          server.sonarrLanguageProfileId || null,
+          server.sonarrTags || null,
+          server.webhookSecret || null
         );
       }
 
       // Import users (if included and not replacing current user)
       if (data.users) {
         const insertUser = db.prepare(`
-          INSERT OR IGNORE INTO users (id, username, email, role, can_add_directly, primary_server_id, created_at, password_hash)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          INSERT OR IGNORE INTO users (id, username, email, role, can_add_directly, primary_server_id, user_group, created_at, password_hash)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         for (const user of data.users) {
           if (user.id !== req.user.id) {
@@ -173,6 +197,7 @@ router.post('/import', (req, res) => {
               user.role,
               user.can_add_directly,
               user.primary_server_id,
+              user.user_group || null,
               user.created_at,
               tempHash
             );
@@ -209,6 +234,25 @@ router.post('/import', (req, res) => {
         );
       }
 
+      // Import auto-approval rules (the author may not be part of the backup)
+      const insertRule = db.prepare(`
+        INSERT OR REPLACE INTO approval_rules (id, name, action, conditions, priority, enabled, created_by, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, (SELECT id FROM users WHERE id = ?), ?, ?)
+      `);
+      for (const rule of data.approvalRules || []) {
+        insertRule.run(
+          rule.id,
+          rule.name,
+          rule.action,
+          rule.conditions,
+          rule.priority,
+          rule.enabled,
+          rule.created_by,
+          rule.created_at,
+          rule.updated_at
+        );
+      }
+
       // Import requests (if included)
       if (data.requests) {
         const insertRequest = db.prepare(`
@@ -251,7 +295,8 @@ router.post('/import', (req, res) => {
         settings: data.settings?.length || 0,
         servers: data.servers?.length || 0,
         users: data.users?.length || 0,
-        rssItems: data.rssItems?.length || 0
+        rssItems: data.rssItems?.length || 0,
+        approvalRules: data.approvalRules?.length || 0
       }
     });
   } catch (error) {
@@ -291,6 +336,7 @@ router.post('/preview', (req, res) => {
         servers: (data.servers || []).map(s => ({ name: s.name, url: s.url })),
         users: (data.users || []).map(u => ({ username: u.username, role: u.role })),
         rssItems: data.rssItems?.length || 0,
+        approvalRules: data.approvalRules?.length || 0,
         requests: data.requests?.length || 0
       }
     });
@@ -0,0 +1,53 @@
+/**
+ * Backup and Restore Routes tests
+ */
+
+const express = require('express');
+const db = require('../database');
+const backupRoutes = require('./backup');
+
+let server;
+let baseUrl;
+
+beforeAll(done => {
+  db.prepare("INSERT INTO users (id, username, password_hash, role) VALUES ('admin', 'admin', 'x', 'admin')").run();
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'admin', username: 'admin', role: 'admin' };
+    next();
+  });
+  app.use('/api/backup', backupRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/backup`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+describe('backup export and import', () => {
+  test('keep the server webhook secret', async () => {
+    const secret = db.encrypt('s3cret');
+    db.prepare(`
+      INSERT INTO plex_servers (id, name, url, token, webhook_secret)
+      VALUES ('server', 'Home', 'http://plex', ?, ?)
+    `).run(db.encrypt('token'), secret);
+
+    const backup = await (await fetch(`${baseUrl}/export`)).json();
+    db.prepare('UPDATE plex_servers SET webhook_secret = NULL').run();
+
+    const response = await fetch(`${baseUrl}/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ backup })
+    });
+
+    expect(response.status).toBe(200);
+    const restored = db.prepare("SELECT webhook_secret FROM plex_servers WHERE id = 'server'").get();
+    expect(db.decrypt(restored.webhook_secret)).toBe('s3cret');
+  });
+});
@@ -5,181 +5,175 @@
 
 const express = require('express');
 const crypto = require('crypto');
-const axios = require('axios');
 const db = require('../database');
 const { requireAdmin } = require('../middleware/auth');
-const { decrypt } = require('../database');
+const { getTvdbId } = require('../services/idMapping');
+const { getMissingSeasons } = require('../services/tvAvailability');
+const { notify } = require('../services/notifications');
+const { countRequestedSeasons, checkQuota } = require('../services/quotas');
+const { findRadarrMovie, findSonarrSeries } = require('../services/arrSnapshot');
+const {
+  validateArrOptions,
+  addToRadarr,
+  addToSonarr,
+  trackRssItem,
+  getKnownSeasons,
+  getPlexSeasonAvailability,
+  approveRequest,
+  submitRequest,
+  getQueueProgress
+} = require('../services/requests');
+const { addRequestEvent, getRequestTimeline } = require('../services/requestEvents');
 
 const router = express.Router();
 
+// Longest comment accepted, in characters
+const MAX_COMMENT_LENGTH = 2000;
+
+// Request list page size (GET /api/requests with page or limit)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Request list sort fields and their columns
+const SORT_COLUMNS = {
+  title: 'r.title COLLATE NOCASE',
+  requested: 'r.requested_at',
+  processed: 'r.processed_at'
+};
+
+// Requests with the requester, processing admin and server names
+const REQUEST_SELECT = `
+  SELECT r.*, u.username as requested_by_username, p.username as processed_by_username,
+         s.name as server_name
+  FROM content_requests r
+  LEFT JOIN users u ON r.user_id = u.id
+  LEFT JOIN users p ON r.processed_by = p.id
+  LEFT JOIN plex_servers s ON r.server_id = s.id
+`;
+
 /**
- * Add movie to Radarr
+ * Format a request row (from REQUEST_SELECT) for the API
  */
-async function addToRadarr(server, tmdbId, title) {
-  if (!server.radarr_url || !server.radarr_api_key) {
-    return { success: false, error: 'Radarr not configured' };
-  }
-
-  const apiKey = decrypt(server.radarr_api_key);
-  
-  try {
-    // First, lookup the movie in Radarr
-    const lookupResponse = await axios.get(`${server.radarr_url}/api/v3/movie/lookup/tmdb`, {
-      headers: { 'X-Api-Key': apiKey },
-      params: { tmdbId },
-      timeout: 10000
-    });
-
-    if (!lookupResponse.data) {
-      return { success: false, error: 'Movie not found in TMDB' };
-    }
-
-    const movieData = lookupResponse.data;
+function formatRequest(r) {
+  return {
+    id: r.id,
+    userId: r.user_id,
+    requestedByUsername: r.requested_by_username,
+    serverId: r.server_id,
+    serverName: r.server_name,
+    tmdbId: r.tmdb_id,
+    contentType: r.content_type,
+    title: r.title,
+    year: r.year,
+    overview: r.overview,
+    posterPath: r.poster_path,
+    status: r.status,
+    seasons: r.seasons ? JSON.parse(r.seasons) : null,
+    followSeasons: r.follow_seasons === 1,
+    requestedAt: r.requested_at,
+    processedAt: r.processed_at,
+    processedByUsername: r.processed_by_username,
+    downloadedAt: r.downloaded_at,
+    availableAt: r.available_at,
+    lastEvent: r.last_event,
+    lastEventAt: r.last_event_at,
+    notes: r.notes
+  };
+}
 
-    // Get root folder
-    const rootFolderResponse = await axios.get(`${server.radarr_url}/api/v3/rootfolder`, {
-      headers: { 'X-Api-Key': apiKey },
-      timeout: 10000
-    });
-    
-    if (!rootFolderResponse.data || rootFolderResponse.data.length === 0) {
-      return { success: false, error: 'No root folder configured in Radarr' };
-    }
+/**
+ * Check an approval's season list and Radarr/Sonarr overrides.
+ * Returns an error message, or null when they are valid.
+ */
+function validateApprovalOptions(request, { seasons, qualityProfileId, rootFolderPath, languageProfileId, tags }) {
+  if (seasons != null && (!Array.isArray(seasons) || seasons.length === 0 || !seasons.every(n => Number.isInteger(n) && n >= 0))) {
+    return 'Seasons must be a list of season numbers';
+  }
+  return validateArrOptions(request.content_type === 'movie' ? 'Radarr' : 'Sonarr', {
+    qualityProfileId,
+    rootFolderPath,
+    languageProfileId,
+    tags
+  });
+}
 
-    const rootFolderPath = rootFolderResponse.data[0].path;
+/**
+ * Get a request's comments, oldest first
+ */
+function getComments(requestId) {
+  return db.prepare(`
+    SELECT c.*, u.username, u.role
+    FROM request_comments c
+    LEFT JOIN users u ON c.user_id = u.id
+    WHERE c.request_id = ?
+    ORDER BY c.created_at ASC, c.rowid ASC
+  `).all(requestId).map(c => ({
+    id: c.id,
+    userId: c.user_id,
+    username: c.username,
+    isAdmin: c.role === 'admin',
+    body: c.body,
+    createdAt: c.created_at
+  }));
+}
 
-    // Get quality profile
-    const profileResponse = await axios.get(`${server.radarr_url}/api/v3/qualityprofile`, {
-      headers: { 'X-Api-Key': apiKey },
-      timeout: 10000
-    });
-    
-    if (!profileResponse.data || profileResponse.data.length === 0) {
-      return { success: false, error: 'No quality profile configured in Radarr' };
-    }
-
-    const qualityProfileId = profileResponse.data[0].id;
-
-    // Add the movie to Radarr
-    const addResponse = await axios.post(`${server.radarr_url}/api/v3/movie`, {
-      title: movieData.title,
-      tmdbId: movieData.tmdbId,
-      year: movieData.year,
-      qualityProfileId: qualityProfileId,
-      rootFolderPath: rootFolderPath,
-      monitored: true,
-      addOptions: {
-        searchForMovie: true // Trigger search immediately
-      }
-    }, {
-      headers: { 'X-Api-Key': apiKey },
-      timeout: 10000
-    });
+/**
+ * Load a request the current user may see (their own, or any for admins).
+ * Sends the error response and returns null otherwise.
+ */
+function loadVisibleRequest(req, res) {
+  const request = db.prepare(`${REQUEST_SELECT} WHERE r.id = ?`).get(req.params.id);
+  if (!request) {
+    res.status(404).json({ error: 'Request not found' });
+    return null;
+  }
 
-    console.log(`[Radarr] Added movie: ${title} (TMDB: ${tmdbId})`);
-    return { success: true, radarrId: addResponse.data.id };
-  } catch (error) {
-    if (error.response?.status === 400 && error.response?.data?.some?.(e => e.errorCode === 'MovieExistsValidator')) {
-      return { success: true, alreadyExists: true };
-    }
-    console.error(`[Radarr] Error adding movie "${title}":`, error.response?.data || error.message);
-    return { success: false, error: error.response?.data?.[0]?.errorMessage || error.message };
+  if (req.user.role !== 'admin' && request.user_id !== req.user.id) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
   }
+
+  return request;
 }
 
 /**
- * Add series to Sonarr
+ * GET /api/requests
+ * List requests (filtered by user for non-admins), with search, filters and
+ * sorting. Passing page or limit returns one page with the total count;
+ * otherwise every matching request is returned as an array.
  */
-async function addToSonarr(server, tmdbId, title, seasons) {
-  if (!server.sonarr_url || !server.sonarr_api_key) {
-    return { success: false, error: 'Sonarr not configured' };
-  }
-
-  const apiKey = decrypt(server.sonarr_api_key);
-  
+router.get('/', (req, res) => {
   try {
-    // Sonarr uses TVDB, so we need to search by name
-    const searchResponse = await axios.get(`${server.sonarr_url}/api/v3/series/lookup`, {
-      headers: { 'X-Api-Key': apiKey },
-      params: { term: title },
-      timeout: 10000
-    });
-
-    if (!searchResponse.data || searchResponse.data.length === 0) {
-      return { success: false, error: 'Series not found' };
+    const {
+      status,
+      type,
+      search,
+      serverId,
+      userId,
+      processedBy,
+      from,
+      to,
+      sort = 'requested',
+      order = sort === 'title' ? 'asc' : 'desc'
+    } = req.query;
+    const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    if (!SORT_COLUMNS[sort]) {
+      return res.status(400).json({ error: `Sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}` });
     }
 
-    const seriesData = searchResponse.data[0];
-
-    // Get root folder
-    const rootFolderResponse = await axios.get(`${server.sonarr_url}/api/v3/rootfolder`, {
-      headers: { 'X-Api-Key': apiKey },
-      timeout: 10000
-    });
-    
-    if (!rootFolderResponse.data || rootFolderResponse.data.length === 0) {
-      return { success: false, error: 'No root folder configured in Sonarr' };
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'Order must be asc or desc' });
     }
 
-    const rootFolderPath = rootFolderResponse.data[0].path;
-
-    // Get quality profile
-    const profileResponse = await axios.get(`${server.sonarr_url}/api/v3/qualityprofile`, {
-      headers: { 'X-Api-Key': apiKey },
-      timeout: 10000
-    });
-    
-    if (!profileResponse.data || profileResponse.data.length === 0) {
-      return { success: false, error: 'No quality profile configured in Sonarr' };
-    }
-
-    const qualityProfileId = profileResponse.data[0].id;
-
-    // Add the series to Sonarr
-    const addResponse = await axios.post(`${server.sonarr_url}/api/v3/series`, {
-      title: seriesData.title,
-      tvdbId: seriesData.tvdbId,
-      year: seriesData.year,
-      qualityProfileId: qualityProfileId,
-      rootFolderPath: rootFolderPath,
-      monitored: true,
-      seasonFolder: true,
-      addOptions: {
-        searchForMissingEpisodes: true
+    for (const date of [from, to]) {
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
       }
-    }, {
-      headers: { 'X-Api-Key': apiKey },
-      timeout: 10000
-    });
-
-    console.log(`[Sonarr] Added series: ${title}`);
-    return { success: true, sonarrId: addResponse.data.id };
-  } catch (error) {
-    if (error.response?.status === 400 && error.response?.data?.some?.(e => e.errorCode === 'SeriesExistsValidator')) {
-      return { success: true, alreadyExists: true };
     }
-    console.error(`[Sonarr] Error adding series "${title}":`, error.response?.data || error.message);
-    return { success: false, error: error.response?.data?.[0]?.errorMessage || error.message };
-  }
-}
 
-/**
- * GET /api/requests
- * List requests (filtered by user for non-admins)
- */
-router.get('/', (req, res) => {
-  try {
-    const { status, type } = req.query;
-    
-    let sql = `
-      SELECT r.*, u.username as requested_by_username, p.username as processed_by_username,
-             s.name as server_name
-      FROM content_requests r
-      LEFT JOIN users u ON r.user_id = u.id
-      LEFT JOIN users p ON r.processed_by = p.id
-      LEFT JOIN plex_servers s ON r.server_id = s.id
-    `;
-    
     const conditions = [];
     const params = [];
 
@@ -187,6 +181,9 @@ router.get('/', (req, res) => {
     if (req.user.role !== 'admin') {
       conditions.push('r.user_id = ?');
       params.push(req.user.id);
+    } else if (userId) {
+      conditions.push('r.user_id = ?');
+      params.push(userId);
     }
 
     if (status) {
@@ -199,33 +196,52 @@ router.get('/', (req, res) => {
       params.push(type);
     }
 
-    if (conditions.length > 0) {
-      sql += ' WHERE ' + conditions.join(' AND ');
-    }
-
-    sql += ' ORDER BY r.requested_at DESC';
-
-    const requests = db.prepare(sql).all(...params);
-
-    res.json(requests.map(r => ({
-      id: r.id,
-      userId: r.user_id,
-      requestedByUsername: r.requested_by_username,
-      serverId: r.server_id,
-      serverName: r.server_name,
-      tmdbId: r.tmdb_id,
-      contentType: r.content_type,
-      title: r.title,
-      year: r.year,
-      overview: r.overview,
-      posterPath: r.poster_path,
-      status: r.status,
-      seasons: r.seasons ? JSON.parse(r.seasons) : null,
-      requestedAt: r.requested_at,
-      processedAt: r.processed_at,
-      processedByUsername: r.processed_by_username,
-      notes: r.notes
-    })));
+    if (search) {
+      conditions.push("r.title LIKE ? ESCAPE '\\'");
+      params.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    if (serverId) {
+      conditions.push('r.server_id = ?');
+      params.push(serverId);
+    }
+
+    if (processedBy) {
+      conditions.push('r.processed_by = ?');
+      params.push(processedBy);
+    }
+
+    // Requested date range, both days included
+    if (from) {
+      conditions.push('r.requested_at >= ?');
+      params.push(from);
+    }
+
+    if (to) {
+      conditions.push("r.requested_at < date(?, '+1 day')");
+      params.push(to);
+    }
+
+    const where = conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
+    let sql = `${REQUEST_SELECT}${where} ORDER BY ${SORT_COLUMNS[sort]} ${order.toUpperCase()}, r.requested_at DESC, r.id`;
+
+    if (!paginate) {
+      return res.json(db.prepare(sql).all(...params).map(formatRequest));
+    }
+
+    sql += ' LIMIT ? OFFSET ?';
+    const requests = db.prepare(sql).all(...params, limit, (page - 1) * limit);
+
+    // Get total count
+    const total = db.prepare(`SELECT COUNT(*) as count FROM content_requests r${where}`).get(...params);
+
+    res.json({
+      requests: requests.map(formatRequest),
+      total: total.count,
+      page,
+      limit,
+      totalPages: Math.ceil(total.count / limit)
+    });
   } catch (error) {
     console.error('List requests error:', error.message);
     res.status(500).json({ error: 'Failed to list requests' });
@@ -245,7 +261,8 @@ router.post('/', async (req, res) => {
       year, 
       overview, 
       posterPath,
-      seasons 
+      seasons,
+      followSeasons
     } = req.body;
 
     // Validation
@@ -257,6 +274,11 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Invalid content type' });
     }
 
+    // The season list feeds quotas, Sonarr monitoring and new season checks
+    if (seasons != null && (!Array.isArray(seasons) || !seasons.every(n => Number.isInteger(n) && n >= 0))) {
+      return res.status(400).json({ error: 'Seasons must be a list of season numbers' });
+    }
+
     // Determine target server
     const serverId = req.user.primaryServerId;
     if (!serverId) {
@@ -271,13 +293,9 @@ router.post('/', async (req, res) => {
 
     // Check if already in Radarr/Sonarr with files (downloaded)
     try {
-      if (contentType === 'movie' && server.radarr_url && server.radarr_api_key) {
-        const apiKey = decrypt(server.radarr_api_key);
-        const response = await axios.get(`${server.radarr_url}/api/v3/movie`, {
-          headers: { 'X-Api-Key': apiKey },
-          timeout: 10000
-        });
-        const existingMovie = response.data.find(m => m.tmdbId === tmdbId);
+      if (contentType === 'movie') {
+        const existing = await findRadarrMovie(server, tmdbId);
+        const existingMovie = existing?.movie;
         if (existingMovie && existingMovie.hasFile) {
           return res.status(409).json({ 
             error: 'This movie is already downloaded in Radarr',
@@ -285,21 +303,18 @@ router.post('/', async (req, res) => {
           });
         }
         if (existingMovie && existingMovie.monitored) {
+          let status = existingMovie.status === 'released' ? 'missing' : 'unreleased';
+          if (existing.queue.length > 0) status = 'queued';
           return res.status(409).json({ 
             error: 'This movie is already being monitored in Radarr',
-            status: existingMovie.status === 'released' ? 'missing' : 'unreleased'
+            status
           });
         }
       }
       
       if (contentType === 'tv' && server.sonarr_url && server.sonarr_api_key) {
-        const apiKey = decrypt(server.sonarr_api_key);
-        const response = await axios.get(`${server.sonarr_url}/api/v3/series`, {
-          headers: { 'X-Api-Key': apiKey },
-          timeout: 10000
-        });
-        // Sonarr uses TVDB IDs, but we can check by title/year as fallback
-        const existingSeries = response.data.find(s => s.tvdbId && s.title === title);
+        const tvdbId = await getTvdbId(tmdbId);
+        const existingSeries = tvdbId && (await findSonarrSeries(server, tvdbId))?.series;
         if (existingSeries && existingSeries.statistics?.percentOfEpisodes === 100) {
           return res.status(409).json({ 
             error: 'This series is already fully downloaded in Sonarr',
@@ -312,16 +327,65 @@ router.post('/', async (req, res) => {
       console.error('Error checking Radarr/Sonarr:', err.message);
     }
 
-    // Check for existing request
-    const existing = db.prepare(`
+    // For series, only request the seasons that aren't complete on Plex
+    // (without a season list, every aired season that's missing or partial)
+    let requestSeasons = Array.isArray(seasons) && seasons.length > 0 ? seasons : null;
+    if (contentType === 'tv') {
+      let plexSeasons = null;
+      try {
+        plexSeasons = await getPlexSeasonAvailability(server, tmdbId, title, year);
+      } catch (err) {
+        // Don't fail the request if we can't check - just log it
+        console.error('Error checking Plex seasons:', err.message);
+      }
+
+      if (plexSeasons) {
+        const complete = plexSeasons.seasons.filter(s => s.status === 'complete').map(s => s.seasonNumber);
+        const wanted = requestSeasons
+          ? requestSeasons.filter(s => !complete.includes(s))
+          : getMissingSeasons(plexSeasons);
+
+        if (wanted.length === 0) {
+          return res.status(409).json({
+            error: requestSeasons
+              ? 'The requested seasons are already available on Plex'
+              : 'This series is already available on Plex',
+            status: 'available'
+          });
+        }
+        requestSeasons = wanted;
+      }
+    }
+
+    // Check for existing requests
+    const existingRequests = db.prepare(`
       SELECT * FROM content_requests 
       WHERE tmdb_id = ? AND content_type = ? AND server_id = ? AND status IN ('pending', 'approved')
-    `).get(tmdbId, contentType, serverId);
+    `).all(tmdbId, contentType, serverId);
+
+    // A series can be requested again for seasons no open request covers
+    let alreadyRequested = existingRequests.length > 0;
+    if (alreadyRequested && requestSeasons && existingRequests.every(r => r.seasons)) {
+      const covered = new Set(existingRequests.flatMap(r => JSON.parse(r.seasons)));
+      requestSeasons = requestSeasons.filter(s => !covered.has(s));
+      alreadyRequested = requestSeasons.length === 0;
+    }
 
-    if (existing) {
+    if (alreadyRequested) {
       return res.status(409).json({ error: 'Request already exists' });
     }
 
+    // Enforce the user's request quota (series count per season)
+    const seasonCount = contentType === 'tv' ? await countRequestedSeasons(tmdbId, requestSeasons) : null;
+    const quotaExceeded = checkQuota(req.user.id, contentType, seasonCount || 1);
+    if (quotaExceeded) {
+      const unit = contentType === 'movie' ? 'movie' : 'season';
+      return res.status(429).json({
+        error: `Request quota exceeded: ${quotaExceeded.used} of ${quotaExceeded.limit} ${unit} requests used in the last ${quotaExceeded.days} days`,
+        quota: quotaExceeded
+      });
+    }
+
     // Check if user can add directly
     if (req.user.canAddDirectly) {
       // Add to Radarr/Sonarr directly
@@ -330,26 +394,25 @@ router.post('/', async (req, res) => {
       if (contentType === 'movie') {
         arrResult = await addToRadarr(server, tmdbId, title);
       } else if (contentType === 'tv') {
-        arrResult = await addToSonarr(server, tmdbId, title, seasons);
+        arrResult = await addToSonarr(server, tmdbId, title, requestSeasons);
       }
 
       // Also add to RSS feed for tracking
-      const rssId = crypto.randomUUID();
-      db.prepare(`
-        INSERT INTO rss_items (id, server_id, content_type, tmdb_id, title, year, overview, poster_path, seasons, added_by)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `).run(
-        rssId,
+      const rssId = trackRssItem({
         serverId,
         contentType,
         tmdbId,
         title,
-        year || null,
-        overview || null,
-        posterPath || null,
-        seasons ? JSON.stringify(seasons) : null,
-        req.user.id
-      );
+        year,
+        overview,
+        posterPath,
+        seasons: requestSeasons,
+        seasonCount,
+        addedBy: req.user.id,
+        knownSeasons: contentType === 'tv' ? await getKnownSeasons(tmdbId) : null,
+        followSeasons: contentType === 'tv' && !!followSeasons,
+        source: 'direct'
+      });
 
       // Log the action
       db.prepare(`
@@ -361,6 +424,7 @@ router.post('/', async (req, res) => {
         return res.status(201).json({ 
           message: `${contentType === 'movie' ? 'Movie' : 'Series'} added to ${contentType === 'movie' ? 'Radarr' : 'Sonarr'} and will start downloading`,
           status: 'added',
+          seasons: requestSeasons,
           rssId 
         });
       } else {
@@ -368,28 +432,27 @@ router.post('/', async (req, res) => {
           message: `Added to queue but ${contentType === 'movie' ? 'Radarr' : 'Sonarr'} integration failed: ${arrResult.error}`,
           status: 'added',
           warning: arrResult.error,
+          seasons: requestSeasons,
           rssId 
         });
       }
     }
 
-    // Create request for approval
-    const requestId = crypto.randomUUID();
-    db.prepare(`
-      INSERT INTO content_requests (id, user_id, server_id, tmdb_id, content_type, title, year, overview, poster_path, seasons)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      requestId,
-      req.user.id,
+    // Create request for approval (the auto-approval rules may let it skip the queue)
+    const { request, decision, arrResult, rssId } = await submitRequest({
+      userId: req.user.id,
       serverId,
       tmdbId,
       contentType,
       title,
-      year || null,
-      overview || null,
-      posterPath || null,
-      seasons ? JSON.stringify(seasons) : null
-    );
+      year,
+      overview,
+      posterPath,
+      seasons: requestSeasons,
+      seasonCount,
+      followSeasons: contentType === 'tv' && !!followSeasons
+    });
+    const requestId = request.id;
 
     // Log the action
     db.prepare(`
@@ -397,10 +460,30 @@ router.post('/', async (req, res) => {
       VALUES (?, ?, ?, ?)
     `).run(req.user.id, 'request_content', `Requested ${contentType}: ${title}`, req.ip);
 
+    if (decision?.action === 'approve') {
+      db.prepare(`
+        INSERT INTO audit_log (user_id, action, details, ip_address)
+        VALUES (?, ?, ?, ?)
+      `).run(req.user.id, 'auto_approve_request', `Auto-approved ${contentType}: ${title} (rule: ${decision.rule.name})`, req.ip);
+
+      return res.status(201).json({
+        message: `Request auto-approved by rule "${decision.rule.name}"`,
+        status: 'approved',
+        requestId,
+        seasons: requestSeasons,
+        rssId,
+        rule: { id: decision.rule.id, name: decision.rule.name },
+        ...(arrResult.success ? {} : {
+          warning: `${contentType === 'movie' ? 'Radarr' : 'Sonarr'} integration failed: ${arrResult.error}`
+        })
+      });
+    }
+
     res.status(201).json({ 
       message: 'Request submitted for approval',
       status: 'pending',
-      requestId 
+      requestId,
+      seasons: requestSeasons
     });
   } catch (error) {
     console.error('Create request error:', error.message);
@@ -422,6 +505,125 @@ router.get('/pending', requireAdmin, (req, res) => {
   }
 });
 
+/**
+ * GET /api/requests/:id
+ * Get a request with its timeline, live download progress while it's in the
+ * Radarr/Sonarr queue, and comment thread (requester or admin)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const request = loadVisibleRequest(req, res);
+    if (!request) return;
+
+    // Only approved requests can be downloading (series also once partly downloaded)
+    let queue = [];
+    if (['approved', 'downloaded'].includes(request.status)) {
+      try {
+        queue = await getQueueProgress(request);
+      } catch (err) {
+        // Don't fail the request if we can't check - just log it
+        console.error('Error checking download queue:', err.message);
+        queue = null;
+      }
+    }
+
+    res.json({
+      ...formatRequest(request),
+      timeline: getRequestTimeline(request.id),
+      queue,
+      comments: getComments(request.id)
+    });
+  } catch (error) {
+    console.error('Get request error:', error.message);
+    res.status(500).json({ error: 'Failed to get request' });
+  }
+});
+
+/**
+ * GET /api/requests/:id/comments
+ * Get a request's comment thread (requester or admin)
+ */
+router.get('/:id/comments', (req, res) => {
+  try {
+    const request = loadVisibleRequest(req, res);
+    if (!request) return;
+
+    res.json(getComments(request.id));
+  } catch (error) {
+    console.error('List comments error:', error.message);
+    res.status(500).json({ error: 'Failed to list comments' });
+  }
+});
+
+/**
+ * POST /api/requests/:id/comments
+ * Comment on a request (requester or admin). Admins are notified of the
+ * requester's comments, and the requester of everyone else's.
+ */
+router.post('/:id/comments', (req, res) => {
+  try {
+    const request = loadVisibleRequest(req, res);
+    if (!request) return;
+
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+    if (!body) {
+      return res.status(400).json({ error: 'Comment required' });
+    }
+
+    if (body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const commentId = crypto.randomUUID();
+    db.prepare(`
+      INSERT INTO request_comments (id, request_id, user_id, body)
+      VALUES (?, ?, ?, ?)
+    `).run(commentId, request.id, req.user.id, body);
+
+    const byRequester = request.user_id === req.user.id;
+    notify(byRequester ? 'request_comment_admin' : 'request_comment', request, {
+      commentBy: req.user.username,
+      comment: body
+    });
+
+    const comment = getComments(request.id).find(c => c.id === commentId);
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('Add comment error:', error.message);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+/**
+ * PUT /api/requests/:id/follow
+ * Turn following future seasons of a series request on or off
+ * (requester or admin)
+ */
+router.put('/:id/follow', (req, res) => {
+  try {
+    const request = db.prepare('SELECT * FROM content_requests WHERE id = ?').get(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    if (req.user.role !== 'admin' && request.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (request.content_type !== 'tv') {
+      return res.status(400).json({ error: 'Only series requests can follow future seasons' });
+    }
+
+    const followSeasons = !!req.body.followSeasons;
+    db.prepare('UPDATE content_requests SET follow_seasons = ? WHERE id = ?').run(followSeasons ? 1 : 0, request.id);
+
+    res.json({ message: followSeasons ? 'Following future seasons' : 'No longer following future seasons', followSeasons });
+  } catch (error) {
+    console.error('Follow request error:', error.message);
+    res.status(500).json({ error: 'Failed to update request' });
+  }
+});
+
 /**
  * POST /api/requests/:id/approve
  * Approve a request (admin only)
@@ -437,46 +639,28 @@ router.post('/:id/approve', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Request is not pending' });
     }
 
-    const { notes, seasons } = req.body;
+    const { notes, seasons, qualityProfileId, rootFolderPath, languageProfileId, tags } = req.body;
 
-    // Get server for Radarr/Sonarr integration
-    const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(request.server_id);
-    
-    // Add to Radarr/Sonarr
-    let arrResult = { success: false };
-    if (server) {
-      if (request.content_type === 'movie') {
-        arrResult = await addToRadarr(server, request.tmdb_id, request.title);
-      } else if (request.content_type === 'tv') {
-        const seasonList = seasons || (request.seasons ? JSON.parse(request.seasons) : null);
-        arrResult = await addToSonarr(server, request.tmdb_id, request.title, seasonList);
-      }
+    const invalid = validateApprovalOptions(request, req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
 
-    // Add to RSS feed for tracking
-    const rssId = crypto.randomUUID();
-    db.prepare(`
-      INSERT INTO rss_items (id, server_id, content_type, tmdb_id, title, year, overview, poster_path, seasons, added_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      rssId,
-      request.server_id,
-      request.content_type,
-      request.tmdb_id,
-      request.title,
-      request.year,
-      request.overview,
-      request.poster_path,
-      seasons ? JSON.stringify(seasons) : request.seasons,
-      req.user.id
-    );
+    // Optional admin overrides of the server's Radarr/Sonarr defaults
+    const arrOptions = { qualityProfileId, rootFolderPath, languageProfileId, tags };
 
-    // Update request status
-    db.prepare(`
-      UPDATE content_requests 
-      SET status = 'approved', processed_at = datetime('now'), processed_by = ?, notes = ?
-      WHERE id = ?
-    `).run(req.user.id, notes || null, request.id);
+    const approval = await approveRequest(request, {
+      approvedBy: req.user.id,
+      notes,
+      seasons,
+      arrOptions
+    });
+
+    // Another admin (or an approval rule) got there first
+    if (!approval) {
+      return res.status(400).json({ error: 'Request is not pending' });
+    }
+    const { arrResult, rssId } = approval;
 
     // Log the action
     db.prepare(`
@@ -525,6 +709,7 @@ router.post('/:id/reject', requireAdmin, (req, res) => {
       SET status = 'rejected', processed_at = datetime('now'), processed_by = ?, notes = ?
       WHERE id = ?
     `).run(req.user.id, notes || null, request.id);
+    addRequestEvent(request.id, 'rejected', { userId: req.user.id, details: notes ? { notes } : null });
 
     // Log the action
     db.prepare(`
@@ -532,6 +717,8 @@ router.post('/:id/reject', requireAdmin, (req, res) => {
       VALUES (?, ?, ?, ?)
     `).run(req.user.id, 'reject_request', `Rejected ${request.content_type}: ${request.title}`, req.ip);
 
+    notify('request_rejected', { ...request, status: 'rejected', notes: notes || null });
+
     res.json({ message: 'Request rejected' });
   } catch (error) {
     console.error('Reject request error:', error.message);
@@ -0,0 +1,152 @@
+/**
+ * Request Routes tests
+ */
+
+jest.mock('../services/notifications', () => ({ notify: jest.fn() }));
+
+const express = require('express');
+const db = require('../database');
+const { notify } = require('../services/notifications');
+const requestRoutes = require('./requests');
+
+let server;
+let baseUrl;
+let currentUser;
+
+/**
+ * Call a request endpoint as the current user
+ */
+async function api(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const alice = { id: 'alice', username: 'alice', role: 'user', primaryServerId: 'server' };
+const bob = { id: 'bob', username: 'bob', role: 'user', primaryServerId: 'server' };
+const admin = { id: 'admin', username: 'admin', role: 'admin', primaryServerId: 'server' };
+
+/**
+ * Add a pending request by alice
+ */
+function addRequest() {
+  db.prepare(`
+    INSERT INTO content_requests (id, user_id, server_id, tmdb_id, content_type, title)
+    VALUES ('request', 'alice', 'server', 603, 'movie', 'The Matrix')
+  `).run();
+}
+
+beforeAll(done => {
+  db.prepare("INSERT INTO plex_servers (id, name, url, token) VALUES ('server', 'Home', 'http://plex', 'token')").run();
+  db.prepare(`
+    INSERT INTO users (id, username, password_hash, role)
+    VALUES ('admin', 'admin', 'x', 'admin'), ('alice', 'alice', 'x', 'user'), ('bob', 'bob', 'x', 'user')
+  `).run();
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = currentUser;
+    next();
+  });
+  app.use('/api/requests', requestRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/requests`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  currentUser = alice;
+  db.prepare('DELETE FROM content_requests').run();
+  jest.clearAllMocks();
+});
+
+describe('GET /api/requests', () => {
+  beforeEach(() => {
+    const insert = db.prepare(`
+      INSERT INTO content_requests (id, user_id, server_id, tmdb_id, content_type, title, requested_at)
+      VALUES (?, ?, 'server', ?, 'movie', ?, ?)
+    `);
+    ['Alien', 'Brazil', 'Casablanca', 'Dune', 'Eraserhead'].forEach((title, i) => {
+      insert.run(`request-${i}`, 'alice', i + 1, title, `2026-01-0${i + 1} 12:00:00`);
+    });
+    insert.run('request-bob', 'bob', 99, 'Fargo', '2026-01-09 12:00:00');
+  });
+
+  test('returns every request as a list unless a page is asked for', async () => {
+    const { body } = await api('GET', '/');
+
+    expect(body.map(r => r.title)).toEqual(['Eraserhead', 'Dune', 'Casablanca', 'Brazil', 'Alien']);
+  });
+
+  test('returns one page with the total count when page or limit is given', async () => {
+    const { body } = await api('GET', '/?limit=2&page=2&sort=title');
+
+    expect(body).toMatchObject({ total: 5, page: 2, limit: 2, totalPages: 3 });
+    expect(body.requests.map(r => r.title)).toEqual(['Casablanca', 'Dune']);
+
+    currentUser = admin;
+    expect((await api('GET', '/?page=1')).body).toMatchObject({ total: 6, limit: 50, totalPages: 1 });
+    expect((await api('GET', '/?limit=1000')).body.limit).toBe(200);
+  });
+});
+
+describe('POST /api/requests', () => {
+  const series = { tmdbId: 1399, contentType: 'tv', title: 'Game of Thrones' };
+
+  test('rejects a season list that is not season numbers', async () => {
+    for (const seasons of ['1,2', [1, '2'], [-1], [1.5], { 1: true }]) {
+      const response = await api('POST', '/', { ...series, seasons });
+
+      expect(response).toEqual({ status: 400, body: { error: 'Seasons must be a list of season numbers' } });
+    }
+    expect(db.prepare('SELECT COUNT(*) AS count FROM content_requests').get().count).toBe(0);
+  });
+});
+
+describe('request comments', () => {
+  test('keeps a thread between the requester and admins, notifying the other side', async () => {
+    addRequest();
+
+    const first = await api('POST', '/request/comments', { body: '  Any chance of the 4K version?  ' });
+    expect(first).toMatchObject({ status: 201, body: { userId: 'alice', username: 'alice', isAdmin: false, body: 'Any chance of the 4K version?' } });
+    expect(notify).toHaveBeenLastCalledWith('request_comment_admin', expect.objectContaining({ id: 'request' }), { commentBy: 'alice', comment: 'Any chance of the 4K version?' });
+
+    currentUser = admin;
+    await api('POST', '/request/comments', { body: 'Only the HD one, sorry' });
+    expect(notify).toHaveBeenLastCalledWith('request_comment', expect.anything(), expect.objectContaining({ commentBy: 'admin' }));
+
+    currentUser = alice;
+    const thread = await api('GET', '/request/comments');
+    expect(thread.body.map(c => [c.username, c.isAdmin, c.body])).toEqual([
+      ['alice', false, 'Any chance of the 4K version?'],
+      ['admin', true, 'Only the HD one, sorry']
+    ]);
+  });
+
+  test('rejects empty and overlong comments', async () => {
+    addRequest();
+
+    expect(await api('POST', '/request/comments', { body: '   ' })).toEqual({ status: 400, body: { error: 'Comment required' } });
+    expect((await api('POST', '/request/comments', { body: 'x'.repeat(2001) })).status).toBe(400);
+    expect((await api('GET', '/request/comments')).body).toEqual([]);
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  test('hides the thread from other users', async () => {
+    addRequest();
+    currentUser = bob;
+
+    expect(await api('GET', '/request/comments')).toEqual({ status: 403, body: { error: 'Access denied' } });
+    expect((await api('POST', '/request/comments', { body: 'Me too' })).status).toBe(403);
+    expect((await api('GET', '/missing/comments')).status).toBe(404);
+  });
+});
@@ -161,7 +161,9 @@ router.get('/items', authenticateToken, (req, res) => {
       posterPath: item.poster_path,
       seasons: item.seasons ? JSON.parse(item.seasons) : null,
       addedBy: item.added_by_username,
-      addedAt: item.added_at
+      addedAt: item.added_at,
+      lastEvent: item.last_event,
+      lastEventAt: item.last_event_at
     })));
   } catch (error) {
     console.error('List RSS items error:', error.message);
@@ -4,24 +4,33 @@
  */
 
 const express = require('express');
-const axios = require('axios');
 const db = require('../database');
-const { decrypt } = require('../database');
+const { getTmdbApiKey, tmdbGet } = require('../services/tmdb');
+const { getTvdbId, resolveExternalIds } = require('../services/idMapping');
+const { findPlexItem } = require('../services/plex');
+const { isLibraryIndexed, findIndexedItem } = require('../services/plexLibrary');
+const { getSeasonAvailability, getMissingSeasons } = require('../services/tvAvailability');
+const { remember } = require('../services/cache');
+const { createLimiter, withDeadline, shareInFlight } = require('../services/concurrency');
+const { findRadarrMovie, findSonarrSeries } = require('../services/arrSnapshot');
+const { getWatchlistKeys } = require('../services/watchlist');
 
 const router = express.Router();
 
-// Cache for availability data
-const availabilityCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+// Availability lookups (Plex, Radarr, Sonarr) run at once per search request
+const ENRICH_CONCURRENCY = 6;
 
-/**
- * Get TMDB API key
- */
-function getTmdbApiKey() {
-  const setting = db.prepare('SELECT value FROM settings WHERE key = ?').get('tmdb_api_key');
-  if (!setting) return null;
-  return decrypt(setting.value);
-}
+// Results still being checked after this are returned with availabilityPending
+const ENRICH_DEADLINE = 4000; // ms
+
+// Media types the discovery endpoints accept
+const MEDIA_TYPES = ['movie', 'tv'];
+
+// Recommended/similar titles returned per list
+const RELATED_RESULTS = 10;
+
+// Most recent requests the "because you requested" feed is built from
+const FEED_REQUESTS = 5;
 
 /**
  * GET /api/search/movies
@@ -35,28 +44,21 @@ router.get('/movies', async (req, res) => {
       return res.status(400).json({ error: 'Search query required' });
     }
 
-    const apiKey = getTmdbApiKey();
-    if (!apiKey) {
+    if (!getTmdbApiKey()) {
       return res.status(500).json({ error: 'TMDB API not configured' });
     }
 
     // Search TMDB
-    const response = await axios.get('https://api.themoviedb.org/3/search/movie', {
-      params: {
-        api_key: apiKey,
-        query,
-        page,
-        include_adult: false
-      }
-    });
+    const data = await tmdbGet('/search/movie', { query, page, include_adult: false });
 
     // Enrich results with availability data
-    const enrichedResults = await enrichMovieResults(response.data.results, req.user);
+    const enrichedResults = await enrichMovieResults(data.results, req.user);
 
     res.json({
-      page: response.data.page,
-      totalPages: response.data.total_pages,
-      totalResults: response.data.total_results,
+      page: data.page,
+      totalPages: data.total_pages,
+      totalResults: data.total_results,
+      availabilityPending: enrichedResults.some(r => r.availabilityPending),
       results: enrichedResults
     });
   } catch (error) {
@@ -77,28 +79,21 @@ router.get('/tv', async (req, res) => {
       return res.status(400).json({ error: 'Search query required' });
     }
 
-    const apiKey = getTmdbApiKey();
-    if (!apiKey) {
+    if (!getTmdbApiKey()) {
       return res.status(500).json({ error: 'TMDB API not configured' });
     }
 
     // Search TMDB
-    const response = await axios.get('https://api.themoviedb.org/3/search/tv', {
-      params: {
-        api_key: apiKey,
-        query,
-        page,
-        include_adult: false
-      }
-    });
+    const data = await tmdbGet('/search/tv', { query, page, include_adult: false });
 
     // Enrich results with availability data
-    const enrichedResults = await enrichTvResults(response.data.results, req.user);
+    const enrichedResults = await enrichTvResults(data.results, req.user);
 
     res.json({
-      page: response.data.page,
-      totalPages: response.data.total_pages,
-      totalResults: response.data.total_results,
+      page: data.page,
+      totalPages: data.total_pages,
+      totalResults: data.total_results,
+      availabilityPending: enrichedResults.some(r => r.availabilityPending),
       results: enrichedResults
     });
   } catch (error) {
@@ -119,52 +114,326 @@ router.get('/multi', async (req, res) => {
       return res.status(400).json({ error: 'Search query required' });
     }
 
-    const apiKey = getTmdbApiKey();
-    if (!apiKey) {
+    if (!getTmdbApiKey()) {
       return res.status(500).json({ error: 'TMDB API not configured' });
     }
 
     // Search TMDB
-    const response = await axios.get('https://api.themoviedb.org/3/search/multi', {
-      params: {
-        api_key: apiKey,
-        query,
-        page,
-        include_adult: false
-      }
+    const data = await tmdbGet('/search/multi', { query, page, include_adult: false });
+
+    // Enrich movies and TV shows (people are dropped)
+    const results = await enrichMixedResults(data.results, req.user);
+
+    res.json({
+      page: data.page,
+      totalPages: data.total_pages,
+      totalResults: data.total_results,
+      availabilityPending: results.some(r => r.availabilityPending),
+      results
     });
+  } catch (error) {
+    console.error('Multi search error:', error.message);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+/**
+ * GET /api/search/multi/stream
+ * Combined search streamed as NDJSON: the TMDB page first, then an
+ * availability patch per result as its checks complete
+ */
+router.get('/multi/stream', async (req, res) => {
+  try {
+    const { query, page = 1 } = req.query;
+    
+    if (!query) {
+      return res.status(400).json({ error: 'Search query required' });
+    }
+
+    if (!getTmdbApiKey()) {
+      return res.status(500).json({ error: 'TMDB API not configured' });
+    }
+
+    // Search TMDB
+    const data = await tmdbGet('/search/multi', { query, page, include_adult: false });
 
     // Filter to only movies and TV shows
-    const filtered = response.data.results.filter(r => r.media_type === 'movie' || r.media_type === 'tv');
+    const filtered = data.results.filter(r => r.media_type === 'movie' || r.media_type === 'tv');
+
+    res.set({
+      'Content-Type': 'application/x-ndjson',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
+    });
+    const send = event => {
+      if (!res.destroyed) res.write(`${JSON.stringify(event)}\n`);
+    };
 
-    // Separate movies and TV for enrichment
-    const movies = filtered.filter(r => r.media_type === 'movie');
-    const tv = filtered.filter(r => r.media_type === 'tv');
+    // TMDB results right away, availability still pending
+    const watchlist = getWatchlistKeys(req.user.id);
+    send({
+      type: 'results',
+      page: data.page,
+      totalPages: data.total_pages,
+      totalResults: data.total_results,
+      results: filtered.map(item => ({
+        ...(item.media_type === 'movie' ? formatMovie(item) : formatTv(item)),
+        onWatchlist: watchlist.has(`${item.media_type}_${item.id}`),
+        status: 'unknown',
+        availabilityPending: true
+      }))
+    });
 
-    // Enrich both
-    const [enrichedMovies, enrichedTv] = await Promise.all([
-      enrichMovieResults(movies, req.user),
-      enrichTvResults(tv, req.user)
-    ]);
+    // Then patch each result as its checks complete
+    const context = createEnrichContext();
+    await Promise.all(filtered.map(async item => {
+      const { seasons, ...availability } = item.media_type === 'movie'
+        ? await checkMovieAvailability(item, req.user, context)
+        : await checkTvAvailability(item, req.user, false, context);
+
+      send({ type: 'availability', id: item.id, mediaType: item.media_type, ...availability, availabilityPending: false });
+    }));
+
+    send({ type: 'done' });
+    res.end();
+  } catch (error) {
+    console.error('Multi search stream error:', error.message);
+    if (res.headersSent) {
+      res.write(`${JSON.stringify({ type: 'error', error: 'Search failed' })}\n`);
+      return res.end();
+    }
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+/**
+ * GET /api/search/trending
+ * Trending movies and/or TV shows (mediaType: all, movie or tv; window: day or week)
+ */
+router.get('/trending', async (req, res) => {
+  try {
+    const { mediaType = 'all', window = 'week', page = 1 } = req.query;
+
+    if (!['all', ...MEDIA_TYPES].includes(mediaType)) {
+      return res.status(400).json({ error: 'Invalid media type' });
+    }
+
+    if (!['day', 'week'].includes(window)) {
+      return res.status(400).json({ error: 'Window must be day or week' });
+    }
+
+    if (!getTmdbApiKey()) {
+      return res.status(500).json({ error: 'TMDB API not configured' });
+    }
+
+    const data = await tmdbGet(`/trending/${mediaType}/${window}`, { page });
+    await sendEnrichedPage(res, data, req.user, mediaType === 'all' ? null : mediaType);
+  } catch (error) {
+    console.error('Trending error:', error.message);
+    res.status(500).json({ error: 'Failed to get trending titles' });
+  }
+});
 
-    // Combine and maintain order
-    const results = filtered.map(item => {
-      if (item.media_type === 'movie') {
-        return enrichedMovies.find(m => m.id === item.id);
-      } else {
-        return enrichedTv.find(t => t.id === item.id);
+/**
+ * GET /api/search/popular
+ * Popular movies or TV shows
+ */
+router.get('/popular', async (req, res) => {
+  try {
+    const { mediaType = 'movie', page = 1 } = req.query;
+
+    if (!MEDIA_TYPES.includes(mediaType)) {
+      return res.status(400).json({ error: 'Invalid media type' });
+    }
+
+    if (!getTmdbApiKey()) {
+      return res.status(500).json({ error: 'TMDB API not configured' });
+    }
+
+    const data = await tmdbGet(`/${mediaType}/popular`, { page });
+    await sendEnrichedPage(res, data, req.user, mediaType);
+  } catch (error) {
+    console.error('Popular error:', error.message);
+    res.status(500).json({ error: 'Failed to get popular titles' });
+  }
+});
+
+/**
+ * GET /api/search/upcoming
+ * Upcoming movies, or TV shows currently airing
+ */
+router.get('/upcoming', async (req, res) => {
+  try {
+    const { mediaType = 'movie', page = 1 } = req.query;
+
+    if (!MEDIA_TYPES.includes(mediaType)) {
+      return res.status(400).json({ error: 'Invalid media type' });
+    }
+
+    if (!getTmdbApiKey()) {
+      return res.status(500).json({ error: 'TMDB API not configured' });
+    }
+
+    const data = await tmdbGet(mediaType === 'movie' ? '/movie/upcoming' : '/tv/on_the_air', { page });
+    await sendEnrichedPage(res, data, req.user, mediaType);
+  } catch (error) {
+    console.error('Upcoming error:', error.message);
+    res.status(500).json({ error: 'Failed to get upcoming titles' });
+  }
+});
+
+/**
+ * GET /api/search/discover
+ * Browse movies or TV shows by genre, year range, rating, language and
+ * streaming provider
+ */
+router.get('/discover', async (req, res) => {
+  try {
+    const {
+      mediaType = 'movie',
+      genre,
+      yearFrom,
+      yearTo,
+      minRating,
+      language,
+      provider,
+      region = 'US',
+      sortBy = 'popularity.desc',
+      page = 1
+    } = req.query;
+
+    if (!MEDIA_TYPES.includes(mediaType)) {
+      return res.status(400).json({ error: 'Invalid media type' });
+    }
+
+    for (const [name, value] of Object.entries({ yearFrom, yearTo, minRating })) {
+      if (value !== undefined && Number.isNaN(Number(value))) {
+        return res.status(400).json({ error: `${name} must be a number` });
+      }
+    }
+
+    if (!getTmdbApiKey()) {
+      return res.status(500).json({ error: 'TMDB API not configured' });
+    }
+
+    // Genres and providers accept TMDB lists: "28,12" (all of) or "28|12" (any of)
+    const dateField = mediaType === 'movie' ? 'primary_release_date' : 'first_air_date';
+    const params = { page, sort_by: sortBy, include_adult: false };
+    if (genre) params.with_genres = genre;
+    if (yearFrom) params[`${dateField}.gte`] = `${parseInt(yearFrom)}-01-01`;
+    if (yearTo) params[`${dateField}.lte`] = `${parseInt(yearTo)}-12-31`;
+    if (minRating) params['vote_average.gte'] = parseFloat(minRating);
+    if (language) params.with_original_language = language;
+    if (provider) {
+      params.with_watch_providers = provider;
+      params.watch_region = region;
+    }
+
+    const data = await tmdbGet(`/discover/${mediaType}`, params);
+    await sendEnrichedPage(res, data, req.user, mediaType);
+  } catch (error) {
+    console.error('Discover error:', error.message);
+    res.status(500).json({ error: 'Failed to discover titles' });
+  }
+});
+
+/**
+ * GET /api/search/genres
+ * TMDB genres for movies and/or TV shows
+ */
+router.get('/genres', async (req, res) => {
+  try {
+    const { mediaType } = req.query;
+
+    if (mediaType && !MEDIA_TYPES.includes(mediaType)) {
+      return res.status(400).json({ error: 'Invalid media type' });
+    }
+
+    if (!getTmdbApiKey()) {
+      return res.status(500).json({ error: 'TMDB API not configured' });
+    }
+
+    const types = mediaType ? [mediaType] : MEDIA_TYPES;
+    const lists = await Promise.all(types.map(type => tmdbGet(`/genre/${type}/list`)));
+
+    // Movies and TV share ids for genres they have in common
+    const genres = new Map();
+    types.forEach((type, i) => {
+      for (const { id, name } of lists[i].genres || []) {
+        if (!genres.has(id)) genres.set(id, { id, name, mediaTypes: [] });
+        genres.get(id).mediaTypes.push(type);
       }
     });
 
+    res.json({ genres: [...genres.values()].sort((a, b) => a.name.localeCompare(b.name)) });
+  } catch (error) {
+    console.error('Genres error:', error.message);
+    res.status(500).json({ error: 'Failed to get genres' });
+  }
+});
+
+/**
+ * GET /api/search/recommendations
+ * "Because you requested X": TMDB recommendations for the user's most recent
+ * requests, leaving out titles they have already requested
+ */
+router.get('/recommendations', async (req, res) => {
+  try {
+    if (!getTmdbApiKey()) {
+      return res.status(500).json({ error: 'TMDB API not configured' });
+    }
+
+    const requests = db.prepare(`
+      SELECT id, tmdb_id, content_type, title, MAX(requested_at) as requested_at
+      FROM content_requests
+      WHERE user_id = ? AND status != 'rejected'
+      GROUP BY tmdb_id, content_type
+      ORDER BY requested_at DESC
+      LIMIT ?
+    `).all(req.user.id, FEED_REQUESTS);
+
+    const requested = new Set(db.prepare(`
+      SELECT content_type || '_' || tmdb_id as key FROM content_requests WHERE user_id = ?
+    `).all(req.user.id).map(r => r.key));
+
+    // A title recommended for several requests only shows up under the most recent one
+    const lists = await Promise.all(requests.map(request =>
+      tmdbGet(`/${request.content_type}/${request.tmdb_id}/recommendations`).catch(error => {
+        console.error(`Recommendations error (${request.content_type} ${request.tmdb_id}):`, error.message);
+        return { results: [] };
+      })));
+
+    const seen = new Set(requested);
+    const context = createEnrichContext();
+    const groups = await Promise.all(requests.map(async (request, i) => {
+      const items = [];
+      for (const item of lists[i].results || []) {
+        const mediaType = item.media_type || request.content_type;
+        const key = `${mediaType}_${item.id}`;
+        if (seen.has(key) || items.length >= RELATED_RESULTS) continue;
+        seen.add(key);
+        items.push({ ...item, media_type: mediaType });
+      }
+
+      return {
+        because: {
+          requestId: request.id,
+          tmdbId: request.tmdb_id,
+          mediaType: request.content_type,
+          title: request.title
+        },
+        results: await enrichMixedResults(items, req.user, context)
+      };
+    }));
+
+    const nonEmpty = groups.filter(g => g.results.length > 0);
     res.json({
-      page: response.data.page,
-      totalPages: response.data.total_pages,
-      totalResults: response.data.total_results,
-      results
+      availabilityPending: nonEmpty.some(g => g.results.some(r => r.availabilityPending)),
+      groups: nonEmpty
     });
   } catch (error) {
-    console.error('Multi search error:', error.message);
-    res.status(500).json({ error: 'Search failed' });
+    console.error('Recommendations feed error:', error.message);
+    res.status(500).json({ error: 'Failed to get recommendations' });
   }
 });
 
@@ -174,22 +443,23 @@ router.get('/multi', async (req, res) => {
  */
 router.get('/movie/:id', async (req, res) => {
   try {
-    const apiKey = getTmdbApiKey();
-    if (!apiKey) {
+    if (!getTmdbApiKey()) {
       return res.status(500).json({ error: 'TMDB API not configured' });
     }
 
-    const response = await axios.get(`https://api.themoviedb.org/3/movie/${req.params.id}`, {
-      params: {
-        api_key: apiKey,
-        append_to_response: 'credits,videos,images'
-      }
+    const data = await tmdbGet(`/movie/${req.params.id}`, {
+      append_to_response: 'credits,videos,images,recommendations,similar'
     });
 
-    // Enrich with availability
-    const [enriched] = await enrichMovieResults([response.data], req.user);
+    // Enrich the movie and its related titles with availability
+    const context = createEnrichContext();
+    const [[enriched], recommendations, similar] = await Promise.all([
+      enrichMovieResults([data], req.user, context),
+      enrichRelated(data.recommendations, 'movie', req.user, context),
+      enrichRelated(data.similar, 'movie', req.user, context)
+    ]);
 
-    res.json(enriched);
+    res.json({ ...enriched, recommendations, similar });
   } catch (error) {
     console.error('Movie details error:', error.message);
     if (error.response?.status === 404) {
@@ -205,22 +475,23 @@ router.get('/movie/:id', async (req, res) => {
  */
 router.get('/tv/:id', async (req, res) => {
   try {
-    const apiKey = getTmdbApiKey();
-    if (!apiKey) {
+    if (!getTmdbApiKey()) {
       return res.status(500).json({ error: 'TMDB API not configured' });
     }
 
-    const response = await axios.get(`https://api.themoviedb.org/3/tv/${req.params.id}`, {
-      params: {
-        api_key: apiKey,
-        append_to_response: 'credits,videos,images'
-      }
+    const data = await tmdbGet(`/tv/${req.params.id}`, {
+      append_to_response: 'credits,videos,images,recommendations,similar'
     });
 
-    // Enrich with availability and season info
-    const [enriched] = await enrichTvResults([response.data], req.user, true);
+    // Enrich the series (with season info) and its related titles with availability
+    const context = createEnrichContext();
+    const [[enriched], recommendations, similar] = await Promise.all([
+      enrichTvResults([data], req.user, true, context),
+      enrichRelated(data.recommendations, 'tv', req.user, context),
+      enrichRelated(data.similar, 'tv', req.user, context)
+    ]);
 
-    res.json(enriched);
+    res.json({ ...enriched, recommendations, similar });
   } catch (error) {
     console.error('TV details error:', error.message);
     if (error.response?.status === 404) {
@@ -230,54 +501,148 @@ router.get('/tv/:id', async (req, res) => {
   }
 });
 
+/**
+ * Create the concurrency limit and deadline shared by one request's lookups
+ */
+function createEnrichContext() {
+  return {
+    limit: createLimiter(ENRICH_CONCURRENCY),
+    deadline: Date.now() + ENRICH_DEADLINE
+  };
+}
+
+/**
+ * Run an availability lookup under the request's concurrency limit. Concurrent
+ * requests looking up the same key share the in-flight lookup.
+ */
+function lookup(context, key, fn) {
+  return shareInFlight(key, () => context.limit(fn));
+}
+
+/**
+ * Wait for a result's availability until the request's deadline. Lookups that
+ * miss it keep running (and fill the caches); the result is flagged as pending.
+ */
+async function awaitAvailability(check, context, pending) {
+  const availability = await withDeadline(check, context.deadline - Date.now(), null);
+  return availability
+    ? { ...availability, availabilityPending: false }
+    : { ...pending, availabilityPending: true };
+}
+
+/**
+ * Format a TMDB movie for the API, without availability data
+ */
+function formatMovie(movie) {
+  return {
+    id: movie.id,
+    title: movie.title,
+    overview: movie.overview,
+    posterPath: movie.poster_path,
+    backdropPath: movie.backdrop_path,
+    releaseDate: movie.release_date,
+    year: movie.release_date ? parseInt(movie.release_date.split('-')[0]) : null,
+    voteAverage: movie.vote_average,
+    mediaType: 'movie'
+  };
+}
+
+/**
+ * Format a TMDB series for the API, without availability data
+ */
+function formatTv(show) {
+  return {
+    id: show.id,
+    title: show.name,
+    overview: show.overview,
+    posterPath: show.poster_path,
+    backdropPath: show.backdrop_path,
+    firstAirDate: show.first_air_date,
+    year: show.first_air_date ? parseInt(show.first_air_date.split('-')[0]) : null,
+    voteAverage: show.vote_average,
+    mediaType: 'tv',
+    numberOfSeasons: show.number_of_seasons
+  };
+}
+
+/**
+ * Respond with a page of TMDB results enriched with availability data.
+ * mediaType tags results from single-type endpoints, which don't include it.
+ */
+async function sendEnrichedPage(res, data, user, mediaType = null) {
+  const items = mediaType ? data.results.map(r => ({ ...r, media_type: mediaType })) : data.results;
+  const results = await enrichMixedResults(items, user);
+
+  res.json({
+    page: data.page,
+    totalPages: data.total_pages,
+    totalResults: data.total_results,
+    availabilityPending: results.some(r => r.availabilityPending),
+    results
+  });
+}
+
+/**
+ * Enrich the first results of a TMDB recommendations/similar list. mediaType
+ * tags results that don't include it.
+ */
+async function enrichRelated(list, mediaType, user, context) {
+  const items = (list?.results || [])
+    .slice(0, RELATED_RESULTS)
+    .map(r => ({ ...r, media_type: r.media_type || mediaType }));
+  return enrichMixedResults(items, user, context);
+}
+
+/**
+ * Enrich a mix of TMDB movies and TV shows (by media_type), keeping their
+ * order. Other media types are dropped.
+ */
+async function enrichMixedResults(items, user, context = createEnrichContext()) {
+  // Filter to only movies and TV shows
+  const filtered = items.filter(r => r.media_type === 'movie' || r.media_type === 'tv');
+
+  // Enrich both, sharing one concurrency limit and deadline
+  const [enrichedMovies, enrichedTv] = await Promise.all([
+    enrichMovieResults(filtered.filter(r => r.media_type === 'movie'), user, context),
+    enrichTvResults(filtered.filter(r => r.media_type === 'tv'), user, false, context)
+  ]);
+
+  // Combine and maintain order
+  return filtered.map(item => (item.media_type === 'movie' ? enrichedMovies : enrichedTv)
+    .find(r => r.id === item.id));
+}
+
 /**
  * Enrich movie results with availability data
  */
-async function enrichMovieResults(movies, user) {
-  const results = [];
-  
-  for (const movie of movies) {
-    const availability = await checkMovieAvailability(movie, user);
-    
-    results.push({
-      id: movie.id,
-      title: movie.title,
-      overview: movie.overview,
-      posterPath: movie.poster_path,
-      backdropPath: movie.backdrop_path,
-      releaseDate: movie.release_date,
-      year: movie.release_date ? parseInt(movie.release_date.split('-')[0]) : null,
-      voteAverage: movie.vote_average,
-      mediaType: 'movie',
-      ...availability
-    });
-  }
-  
-  return results;
+async function enrichMovieResults(movies, user, context = createEnrichContext()) {
+  const watchlist = getWatchlistKeys(user.id);
+
+  return Promise.all(movies.map(async movie => {
+    const availability = await awaitAvailability(
+      checkMovieAvailability(movie, user, context),
+      context,
+      { status: 'unknown', plexAvailable: false, plexServers: [], plexMatches: [], radarrStatus: null, inRssFeed: false }
+    );
+
+    return { ...formatMovie(movie), onWatchlist: watchlist.has(`movie_${movie.id}`), ...availability };
+  }));
 }
 
 /**
  * Enrich TV results with availability data
  */
-async function enrichTvResults(shows, user, includeSeasons = false) {
-  const results = [];
-  
-  for (const show of shows) {
-    const availability = await checkTvAvailability(show, user);
-    
-    const result = {
-      id: show.id,
-      title: show.name,
-      overview: show.overview,
-      posterPath: show.poster_path,
-      backdropPath: show.backdrop_path,
-      firstAirDate: show.first_air_date,
-      year: show.first_air_date ? parseInt(show.first_air_date.split('-')[0]) : null,
-      voteAverage: show.vote_average,
-      mediaType: 'tv',
-      numberOfSeasons: show.number_of_seasons,
-      ...availability
-    };
+async function enrichTvResults(shows, user, includeSeasons = false, context = createEnrichContext()) {
+  const watchlist = getWatchlistKeys(user.id);
+
+  return Promise.all(shows.map(async show => {
+    const { seasons: seasonAvailability, ...availability } = await awaitAvailability(
+      checkTvAvailability(show, user, includeSeasons, context),
+      context,
+      { status: 'unknown', plexAvailable: false, plexServers: [], plexMatches: [], sonarrStatus: null, inRssFeed: false, seasons: [] }
+    );
+
+    const result = { ...formatTv(show), onWatchlist: watchlist.has(`tv_${show.id}`), ...availability };
 
     if (includeSeasons && show.seasons) {
       result.seasons = show.seasons.map(s => ({
@@ -285,47 +650,61 @@ async function enrichTvResults(shows, user, includeSeasons = false) {
         name: s.name,
         episodeCount: s.episode_count,
         airDate: s.air_date,
-        posterPath: s.poster_path
+        posterPath: s.poster_path,
+        // Per-server Plex availability of the season's aired episodes
+        availability: seasonAvailability.map(({ serverId, serverName, seasons }) => {
+          const { seasonNumber, episodeCount, ...season } = seasons.find(a => a.seasonNumber === s.season_number);
+          return { serverId, serverName, ...season };
+        })
       }));
     }
-    
-    results.push(result);
-  }
-  
-  return results;
+
+    return result;
+  }));
 }
 
 /**
  * Check movie availability across user's servers
  */
-async function checkMovieAvailability(movie, user) {
+async function checkMovieAvailability(movie, user, context) {
   const result = {
     status: 'unknown',
     plexAvailable: false,
     plexServers: [],
+    plexMatches: [],
     radarrStatus: null,
     inRssFeed: false
   };
 
   // Get user's servers
   const servers = user?.servers || [];
-  
-  for (const server of servers) {
-    // Check Plex
-    const plexResult = await checkPlexMovie(server.id, movie.title, movie.release_date?.split('-')[0]);
+
+  // Check every server at once
+  const checks = await Promise.all(servers.map(async server => {
+    const [plexResult, radarrResult] = await Promise.all([
+      // Check Plex
+      lookup(context, `plex_movie_${server.id}_${movie.id}`, () =>
+        checkPlexMovie(server.id, movie.id, movie.title, movie.release_date?.split('-')[0])),
+      // Check Radarr (for primary server)
+      server.id === user.primaryServerId
+        ? lookup(context, `radarr_${server.id}_${movie.id}`, () => checkRadarrMovie(server.id, movie.id))
+        : null
+    ]);
+
+    return { plexResult, radarrResult };
+  }));
+
+  servers.forEach((server, i) => {
+    const { plexResult, radarrResult } = checks[i];
     if (plexResult.exists) {
       result.plexAvailable = true;
       result.plexServers.push(server.name);
+      result.plexMatches.push({ serverId: server.id, serverName: server.name, matchedBy: plexResult.matchedBy });
     }
-
-    // Check Radarr (for primary server)
-    if (server.id === user.primaryServerId) {
-      const radarrResult = await checkRadarrMovie(server.id, movie.id);
-      if (radarrResult) {
-        result.radarrStatus = radarrResult;
-      }
+    if (radarrResult) {
+      result.radarrStatus = radarrResult;
     }
-  }
+  });
 
   // Check RSS feed
   const rssItem = db.prepare(`
@@ -349,35 +728,56 @@ async function checkMovieAvailability(movie, user) {
 }
 
 /**
- * Check TV availability across user's servers
+ * Check TV availability across user's servers. With includeSeasons (show
+ * details payload), also compares each server's episodes season by season.
  */
-async function checkTvAvailability(show, user) {
+async function checkTvAvailability(show, user, includeSeasons, context) {
   const result = {
     status: 'unknown',
     plexAvailable: false,
     plexServers: [],
+    plexMatches: [],
     sonarrStatus: null,
     inRssFeed: false
   };
+  const seasons = [];
 
   const servers = user.servers || [];
-  
-  for (const server of servers) {
-    // Check Plex
-    const plexResult = await checkPlexTv(server.id, show.name, show.first_air_date?.split('-')[0]);
+
+  // Check every server at once
+  const checks = await Promise.all(servers.map(async server => {
+    const [plexResult, sonarrResult] = await Promise.all([
+      // Check Plex
+      lookup(context, `plex_tv_${server.id}_${show.id}`, () =>
+        checkPlexTv(server.id, show.id, show.name, show.first_air_date?.split('-')[0])),
+      // Check Sonarr (for primary server)
+      server.id === user.primaryServerId
+        ? lookup(context, `sonarr_${server.id}_${show.id}`, () => checkSonarrSeries(server.id, show.id))
+        : null
+    ]);
+
+    // Compare the server's episodes season by season (details only)
+    const availability = includeSeasons && show.seasons
+      ? await context.limit(() => checkPlexSeasons(server.id, show, plexResult.exists ? plexResult.show : null))
+      : null;
+
+    return { plexResult, sonarrResult, availability };
+  }));
+
+  servers.forEach((server, i) => {
+    const { plexResult, sonarrResult, availability } = checks[i];
     if (plexResult.exists) {
       result.plexAvailable = true;
       result.plexServers.push(server.name);
+      result.plexMatches.push({ serverId: server.id, serverName: server.name, matchedBy: plexResult.matchedBy });
     }
-
-    // Check Sonarr (for primary server)
-    if (server.id === user.primaryServerId) {
-      const sonarrResult = await checkSonarrSeries(server.id, show.id);
-      if (sonarrResult) {
-        result.sonarrStatus = sonarrResult;
-      }
+    if (availability) {
+      seasons.push({ serverId: server.id, serverName: server.name, ...availability });
     }
-  }
+    if (sonarrResult) {
+      result.sonarrStatus = sonarrResult;
+    }
+  });
 
   // Check RSS feed
   const rssItem = db.prepare(`
@@ -386,8 +786,19 @@ async function checkTvAvailability(show, user) {
   `).get(show.id);
   result.inRssFeed = !!rssItem;
 
+  if (includeSeasons && show.seasons) {
+    result.seasonAvailability = seasons.map(({ serverId, serverName, status, seasons: list }) => ({
+      serverId,
+      serverName,
+      status,
+      missingSeasons: getMissingSeasons({ seasons: list })
+    }));
+  }
+
   // Determine overall status
-  if (result.plexAvailable) {
+  if (result.plexAvailable && seasons.length > 0 && !seasons.some(s => s.status === 'complete')) {
+    result.status = 'partially_available';
+  } else if (result.plexAvailable) {
     result.status = 'available';
   } else if (result.sonarrStatus) {
     result.status = result.sonarrStatus;
@@ -397,69 +808,44 @@ async function checkTvAvailability(show, user) {
     result.status = 'not_available';
   }
 
-  return result;
+  return { ...result, seasons };
 }
 
 /**
- * Check if movie exists in Plex
+ * Compare a server's episodes of a show with TMDB's seasons.
+ * plexShow is the matched Plex item, or null if the show isn't on the server.
+ * Returns null if Plex couldn't be queried.
  */
-async function checkPlexMovie(serverId, title, year) {
+async function checkPlexSeasons(serverId, show, plexShow) {
   try {
-    const cacheKey = `plex_movie_${serverId}_${title}_${year}`;
-    const cached = availabilityCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-      return cached.data;
-    }
-
     const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(serverId);
-    if (!server) return { exists: false };
-
-    const token = decrypt(server.token);
-    
-    // Get all library sections to find movie libraries
-    const sectionsResponse = await axios.get(`${server.url}/library/sections`, {
-      headers: { 
-        'X-Plex-Token': token,
-        'Accept': 'application/json'
-      },
-      timeout: 10000
-    });
+    return await getSeasonAvailability(server, show, plexShow);
+  } catch (error) {
+    console.error('Plex season check error:', error.message);
+    return null;
+  }
+}
 
-    const movieSections = sectionsResponse.data.MediaContainer.Directory
-      .filter(d => d.type === 'movie')
-      .map(d => d.key);
+/**
+ * Check if movie exists in Plex, matching by TMDB/TVDB/IMDb id before title.
+ * Uses the server's library index once it has been synced, otherwise asks Plex directly.
+ */
+async function checkPlexMovie(serverId, tmdbId, title, year) {
+  try {
+    const criteria = { tmdbId, ...await resolveExternalIds(tmdbId, 'movie'), title, year };
 
-    // Search each movie library
-    for (const sectionId of movieSections) {
-      const response = await axios.get(`${server.url}/library/sections/${sectionId}/all`, {
-        headers: { 
-          'X-Plex-Token': token,
-          'Accept': 'application/json'
-        },
-        params: {
-          type: 1, // Movie
-          'title': title
-        },
-        timeout: 10000
-      });
-
-      const movies = response.data.MediaContainer.Metadata || [];
-      const match = movies.find(m => {
-        const titleMatch = m.title.toLowerCase() === title.toLowerCase();
-        const yearMatch = !year || m.year === parseInt(year);
-        return titleMatch && yearMatch;
-      });
-
-      if (match) {
-        const result = { exists: true, movie: match };
-        availabilityCache.set(cacheKey, { data: result, timestamp: Date.now() });
-        return result;
-      }
+    if (isLibraryIndexed(serverId)) {
+      const match = findIndexedItem(serverId, 'movie', criteria);
+      return match ? { exists: true, movie: match.item, matchedBy: match.matchedBy } : { exists: false };
     }
 
-    const result = { exists: false };
-    availabilityCache.set(cacheKey, { data: result, timestamp: Date.now() });
-    return result;
+    const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(serverId);
+    if (!server) return { exists: false };
+
+    return await remember('plex', `movie_${serverId}_${title}_${year}`, async () => {
+      const match = await findPlexItem(server, 'movie', criteria);
+      return match ? { exists: true, movie: match.item, matchedBy: match.matchedBy } : { exists: false };
+    }, { serverId });
   } catch (error) {
     console.error('Plex movie check error:', error.message);
     return { exists: false };
@@ -467,64 +853,25 @@ async function checkPlexMovie(serverId, title, year) {
 }
 
 /**
- * Check if TV show exists in Plex
+ * Check if TV show exists in Plex, matching by TMDB/TVDB/IMDb id before title.
+ * Uses the server's library index once it has been synced, otherwise asks Plex directly.
  */
-async function checkPlexTv(serverId, title, year) {
+async function checkPlexTv(serverId, tmdbId, title, year) {
   try {
-    const cacheKey = `plex_tv_${serverId}_${title}_${year}`;
-    const cached = availabilityCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-      return cached.data;
+    const criteria = { tmdbId, ...await resolveExternalIds(tmdbId, 'tv'), title, year };
+
+    if (isLibraryIndexed(serverId)) {
+      const match = findIndexedItem(serverId, 'tv', criteria);
+      return match ? { exists: true, show: match.item, matchedBy: match.matchedBy } : { exists: false };
     }
 
     const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(serverId);
     if (!server) return { exists: false };
 
-    const token = decrypt(server.token);
-    
-    // Get TV library sections
-    const sectionsResponse = await axios.get(`${server.url}/library/sections`, {
-      headers: { 
-        'X-Plex-Token': token,
-        'Accept': 'application/json'
-      },
-      timeout: 10000
-    });
-
-    const tvSections = sectionsResponse.data.MediaContainer.Directory
-      .filter(d => d.type === 'show')
-      .map(d => d.key);
-
-    for (const sectionId of tvSections) {
-      const response = await axios.get(`${server.url}/library/sections/${sectionId}/all`, {
-        headers: { 
-          'X-Plex-Token': token,
-          'Accept': 'application/json'
-        },
-        params: {
-          type: 2, // TV Show
-          'title': title
-        },
-        timeout: 10000
-      });
-
-      const shows = response.data.MediaContainer.Metadata || [];
-      const match = shows.find(s => {
-        const titleMatch = s.title.toLowerCase() === title.toLowerCase();
-        const yearMatch = !year || s.year === parseInt(year);
-        return titleMatch && yearMatch;
-      });
-
-      if (match) {
-        const result = { exists: true, show: match };
-        availabilityCache.set(cacheKey, { data: result, timestamp: Date.now() });
-        return result;
-      }
-    }
-
-    const result = { exists: false };
-    availabilityCache.set(cacheKey, { data: result, timestamp: Date.now() });
-    return result;
+    return await remember('plex', `tv_${serverId}_${title}_${year}`, async () => {
+      const match = await findPlexItem(server, 'tv', criteria);
+      return match ? { exists: true, show: match.item, matchedBy: match.matchedBy } : { exists: false };
+    }, { serverId });
   } catch (error) {
     console.error('Plex TV check error:', error.message);
     return { exists: false };
@@ -532,46 +879,21 @@ async function checkPlexTv(serverId, title, year) {
 }
 
 /**
- * Check movie status in Radarr
+ * Check movie status in Radarr (from the server's Radarr snapshot)
  */
 async function checkRadarrMovie(serverId, tmdbId) {
   try {
-    const cacheKey = `radarr_${serverId}_${tmdbId}`;
-    const cached = availabilityCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-      return cached.data;
-    }
-
     const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(serverId);
-    if (!server || !server.radarr_url || !server.radarr_api_key) return null;
+    if (!server) return null;
 
-    const apiKey = decrypt(server.radarr_api_key);
-    
-    // Search by TMDB ID
-    const response = await axios.get(`${server.radarr_url}/api/v3/movie`, {
-      headers: { 'X-Api-Key': apiKey },
-      timeout: 10000
-    });
+    const found = await findRadarrMovie(server, tmdbId);
+    if (!found) return null;
 
-    const movie = response.data.find(m => m.tmdbId === tmdbId);
-    
-    let status = null;
-    if (movie) {
-      if (movie.hasFile) {
-        status = 'downloaded';
-      } else if (movie.monitored) {
-        // Check queue
-        const queueResponse = await axios.get(`${server.radarr_url}/api/v3/queue`, {
-          headers: { 'X-Api-Key': apiKey },
-          timeout: 10000
-        });
-        const inQueue = queueResponse.data.records?.some(q => q.movieId === movie.id);
-        status = inQueue ? 'queued' : (movie.status === 'released' ? 'missing' : 'unreleased');
-      }
-    }
-
-    availabilityCache.set(cacheKey, { data: status, timestamp: Date.now() });
-    return status;
+    const { movie, queue } = found;
+    if (movie.hasFile) return 'downloaded';
+    if (!movie.monitored) return null;
+    if (queue.length > 0) return 'queued';
+    return movie.status === 'released' ? 'missing' : 'unreleased';
   } catch (error) {
     console.error('Radarr check error:', error.message);
     return null;
@@ -579,34 +901,26 @@ async function checkRadarrMovie(serverId, tmdbId) {
 }
 
 /**
- * Check series status in Sonarr
+ * Check series status in Sonarr (from the server's Sonarr snapshot)
  */
 async function checkSonarrSeries(serverId, tmdbId) {
   try {
-    const cacheKey = `sonarr_${serverId}_${tmdbId}`;
-    const cached = availabilityCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-      return cached.data;
-    }
-
     const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(serverId);
     if (!server || !server.sonarr_url || !server.sonarr_api_key) return null;
 
-    const apiKey = decrypt(server.sonarr_api_key);
-    
-    // Sonarr uses TVDB, so we need to look up by title
-    // First get all series
-    const response = await axios.get(`${server.sonarr_url}/api/v3/series`, {
-      headers: { 'X-Api-Key': apiKey },
-      timeout: 10000
-    });
+    // Sonarr identifies series by TVDB id
+    const tvdbId = await getTvdbId(tmdbId);
+    if (!tvdbId) return null;
 
-    // Find series by TVDB ID (Sonarr doesn't use TMDB ID directly)
-    // For now, return null if not found - in production you'd convert TMDB to TVDB
-    const status = null;
+    const found = await findSonarrSeries(server, tvdbId);
+    if (!found) return null;
 
-    availabilityCache.set(cacheKey, { data: status, timestamp: Date.now() });
-    return status;
+    const { series, queue } = found;
+    const stats = series.statistics || {};
+    if (stats.episodeCount > 0 && stats.episodeFileCount >= stats.episodeCount) return 'downloaded';
+    if (stats.episodeFileCount > 0) return 'partial';
+    if (!series.monitored) return null;
+    return queue.length > 0 ? 'queued' : 'missing';
   } catch (error) {
     console.error('Sonarr check error:', error.message);
     return null;
@@ -0,0 +1,110 @@
+/**
+ * Search Routes tests
+ */
+
+jest.mock('axios');
+jest.mock('../services/tmdb', () => ({
+  getTmdbApiKey: jest.fn().mockReturnValue('key'),
+  tmdbGet: jest.fn()
+}));
+jest.mock('../services/plex', () => ({
+  ...jest.requireActual('../services/plex'),
+  findPlexItem: jest.fn().mockResolvedValue(null)
+}));
+
+const express = require('express');
+const axios = require('axios');
+const db = require('../database');
+const { tmdbGet } = require('../services/tmdb');
+const { clearCache } = require('../services/cache');
+const searchRoutes = require('./search');
+
+let server;
+let baseUrl;
+
+// Game of Thrones: TMDB 1399, TVDB 121361
+const sonarrSeries = {
+  id: 5,
+  tvdbId: 121361,
+  monitored: true,
+  statistics: { episodeCount: 10, episodeFileCount: 10 }
+};
+
+/**
+ * Search TV series and return the result for a TMDB id
+ */
+async function searchTv(tmdbId) {
+  const response = await fetch(`${baseUrl}/tv?query=thrones`);
+  const { results } = await response.json();
+  return results.find(r => r.id === tmdbId);
+}
+
+beforeAll(done => {
+  db.prepare(`
+    INSERT INTO plex_servers (id, name, url, token, sonarr_url, sonarr_api_key)
+    VALUES ('server', 'Home', 'http://plex', 'token', 'http://sonarr', ?)
+  `).run(db.encrypt('key'));
+  db.prepare("INSERT INTO users (id, username, password_hash) VALUES ('alice', 'alice', 'x')").run();
+  const plexServer = db.prepare('SELECT * FROM plex_servers').get();
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: 'alice', role: 'user', primaryServerId: 'server', servers: [plexServer] };
+    next();
+  });
+  app.use('/api/search', searchRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/search`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  db.prepare('DELETE FROM external_ids').run();
+  clearCache();
+  axios.get.mockImplementation(async url => ({
+    data: url.endsWith('/queue') ? { records: [] } : [sonarrSeries]
+  }));
+  tmdbGet.mockImplementation(async path => {
+    if (path === '/search/tv') {
+      return {
+        page: 1,
+        total_pages: 1,
+        total_results: 2,
+        results: [
+          { id: 1399, name: 'Game of Thrones', first_air_date: '2011-04-17' },
+          // A TMDB id equal to the TVDB id of another series in Sonarr
+          { id: 121361, name: 'Thrones', first_air_date: '2020-01-01' }
+        ]
+      };
+    }
+    if (path === '/tv/1399/external_ids') return { tvdb_id: 121361 };
+    return {};
+  });
+});
+
+describe('GET /api/search/tv', () => {
+  test('reports the Sonarr status of a series matched by its TVDB id', async () => {
+    expect(await searchTv(1399)).toMatchObject({ sonarrStatus: 'downloaded', status: 'downloaded' });
+  });
+
+  test('does not match Sonarr series by TMDB id', async () => {
+    expect(await searchTv(121361)).toMatchObject({ sonarrStatus: null, status: 'not_available' });
+  });
+
+  test('reports partially downloaded and queued series', async () => {
+    sonarrSeries.statistics.episodeFileCount = 4;
+    expect(await searchTv(1399)).toMatchObject({ sonarrStatus: 'partial' });
+
+    clearCache();
+    sonarrSeries.statistics.episodeFileCount = 0;
+    axios.get.mockImplementation(async url => ({
+      data: url.endsWith('/queue') ? { records: [{ seriesId: 5 }] } : [sonarrSeries]
+    }));
+    expect(await searchTv(1399)).toMatchObject({ sonarrStatus: 'queued' });
+  });
+});
@@ -9,9 +9,43 @@ const axios = require('axios');
 const db = require('../database');
 const { encrypt, decrypt } = require('../database');
 const { requireAdmin } = require('../middleware/auth');
+const { getLibraryStatus } = require('../services/plexLibrary');
+const { validateArrOptions } = require('../services/requests');
 
 const router = express.Router();
 
+/**
+ * Format the Radarr/Sonarr defaults stored on a server
+ */
+function formatArrDefaults(server) {
+  return {
+    radarrQualityProfileId: server.radarr_quality_profile_id,
+    radarrRootFolder: server.radarr_root_folder,
+    radarrTags: server.radarr_tags ? JSON.parse(server.radarr_tags) : [],
+    sonarrQualityProfileId: server.sonarr_quality_profile_id,
+    sonarrRootFolder: server.sonarr_root_folder,
+    sonarrLanguageProfileId: server.sonarr_language_profile_id,
+    sonarrTags: server.sonarr_tags ? JSON.parse(server.sonarr_tags) : []
+  };
+}
+
+/**
+ * Check the Radarr/Sonarr defaults in a server create or update body.
+ * Returns an error message, or null when they are valid.
+ */
+function validateArrDefaults(body) {
+  return validateArrOptions('Radarr', {
+    qualityProfileId: body.radarrQualityProfileId,
+    rootFolderPath: body.radarrRootFolder,
+    tags: body.radarrTags
+  }) || validateArrOptions('Sonarr', {
+    qualityProfileId: body.sonarrQualityProfileId,
+    rootFolderPath: body.sonarrRootFolder,
+    languageProfileId: body.sonarrLanguageProfileId,
+    tags: body.sonarrTags
+  });
+}
+
 /**
  * GET /api/servers
  * List servers (filtered by user assignment for non-admins)
@@ -44,6 +78,8 @@ router.get('/', (req, res) => {
       hasRadarrApiKey: !!server.radarr_api_key,
       sonarrUrl: server.sonarr_url,
       hasSonarrApiKey: !!server.sonarr_api_key,
+      ...formatArrDefaults(server),
+      hasWebhookSecret: !!server.webhook_secret,
       createdAt: server.created_at
     }));
 
@@ -68,7 +104,14 @@ router.post('/', requireAdmin, (req, res) => {
       radarrUrl,
       radarrApiKey,
       sonarrUrl,
-      sonarrApiKey 
+      sonarrApiKey,
+      radarrQualityProfileId,
+      radarrRootFolder,
+      radarrTags,
+      sonarrQualityProfileId,
+      sonarrRootFolder,
+      sonarrLanguageProfileId,
+      sonarrTags
     } = req.body;
 
     // Validation
@@ -76,11 +119,20 @@ router.post('/', requireAdmin, (req, res) => {
       return res.status(400).json({ error: 'Server name, URL, and token required' });
     }
 
+    const invalid = validateArrDefaults(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
     const serverId = crypto.randomUUID();
     
     db.prepare(`
-      INSERT INTO plex_servers (id, name, url, token, library_section_id, radarr_url, radarr_api_key, sonarr_url, sonarr_api_key)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO plex_servers (
+        id, name, url, token, library_section_id, radarr_url, radarr_api_key, sonarr_url, sonarr_api_key,
+        radarr_quality_profile_id, radarr_root_folder, radarr_tags,
+        sonarr_quality_profile_id, sonarr_root_folder, sonarr_language_profile_id, sonarr_tags
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       serverId,
       name,
@@ -90,7 +142,14 @@ router.post('/', requireAdmin, (req, res) => {
       radarrUrl || null,
       radarrApiKey ? encrypt(radarrApiKey) : null,
       sonarrUrl || null,
-      sonarrApiKey ? encrypt(sonarrApiKey) : null
+      sonarrApiKey ? encrypt(sonarrApiKey) : null,
+      radarrQualityProfileId || null,
+      radarrRootFolder || null,
+      radarrTags?.length ? JSON.stringify(radarrTags) : null,
+      sonarrQualityProfileId || null,
+      sonarrRootFolder || null,
+      sonarrLanguageProfileId || null,
+      sonarrTags?.length ? JSON.stringify(sonarrTags) : null
     );
 
     // Log the action
@@ -218,6 +277,9 @@ router.get('/:id', (req, res) => {
         radarrApiKey: server.radarr_api_key ? decrypt(server.radarr_api_key) : null,
         sonarrUrl: server.sonarr_url,
         sonarrApiKey: server.sonarr_api_key ? decrypt(server.sonarr_api_key) : null,
+        ...formatArrDefaults(server),
+        webhookSecret: server.webhook_secret ? decrypt(server.webhook_secret) : null,
+        libraryIndex: getLibraryStatus(server.id),
         createdAt: server.created_at
       });
     } else {
@@ -258,9 +320,21 @@ router.put('/:id', requireAdmin, (req, res) => {
       radarrUrl,
       radarrApiKey,
       sonarrUrl,
-      sonarrApiKey 
+      sonarrApiKey,
+      radarrQualityProfileId,
+      radarrRootFolder,
+      radarrTags,
+      sonarrQualityProfileId,
+      sonarrRootFolder,
+      sonarrLanguageProfileId,
+      sonarrTags
     } = req.body;
 
+    const invalid = validateArrDefaults(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
     const updates = [];
     const values = [];
 
@@ -296,6 +370,34 @@ router.put('/:id', requireAdmin, (req, res) => {
       updates.push('sonarr_api_key = ?');
       values.push(sonarrApiKey ? encrypt(sonarrApiKey) : null);
     }
+    if (radarrQualityProfileId !== undefined) {
+      updates.push('radarr_quality_profile_id = ?');
+      values.push(radarrQualityProfileId || null);
+    }
+    if (radarrRootFolder !== undefined) {
+      updates.push('radarr_root_folder = ?');
+      values.push(radarrRootFolder || null);
+    }
+    if (radarrTags !== undefined) {
+      updates.push('radarr_tags = ?');
+      values.push(radarrTags?.length ? JSON.stringify(radarrTags) : null);
+    }
+    if (sonarrQualityProfileId !== undefined) {
+      updates.push('sonarr_quality_profile_id = ?');
+      values.push(sonarrQualityProfileId || null);
+    }
+    if (sonarrRootFolder !== undefined) {
+      updates.push('sonarr_root_folder = ?');
+      values.push(sonarrRootFolder || null);
+    }
+    if (sonarrLanguageProfileId !== undefined) {
+      updates.push('sonarr_language_profile_id = ?');
+      values.push(sonarrLanguageProfileId || null);
+    }
+    if (sonarrTags !== undefined) {
+      updates.push('sonarr_tags = ?');
+      values.push(sonarrTags?.length ? JSON.stringify(sonarrTags) : null);
+    }
 
     if (updates.length > 0) {
       updates.push("updated_at = datetime('now')");
@@ -303,6 +405,11 @@ router.put('/:id', requireAdmin, (req, res) => {
       db.prepare(`UPDATE plex_servers SET ${updates.join(', ')} WHERE id = ?`).run(...values);
     }
 
+    // A different Plex server needs a fresh library index; live lookups are used until then
+    if ((url !== undefined && url !== server.url) || token !== undefined) {
+      db.prepare('DELETE FROM plex_library_sync WHERE server_id = ?').run(server.id);
+    }
+
     // Log the action
     db.prepare(`
       INSERT INTO audit_log (user_id, action, details, ip_address)
@@ -453,7 +560,123 @@ router.get('/:id/libraries', requireAdmin, async (req, res) => {
   }
 });
 
-module.exports = router;
+/**
+ * POST /api/servers/:id/webhook-secret
+ * Generate a new webhook secret (admin only)
+ */
+router.post('/:id/webhook-secret', requireAdmin, (req, res) => {
+  try {
+    const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(req.params.id);
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    const secret = crypto.randomBytes(24).toString('hex');
+    db.prepare("UPDATE plex_servers SET webhook_secret = ?, updated_at = datetime('now') WHERE id = ?")
+      .run(encrypt(secret), server.id);
+
+    // Log the action
+    db.prepare(`
+      INSERT INTO audit_log (user_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(req.user.id, 'regenerate_webhook_secret', `Regenerated webhook secret: ${server.name}`, req.ip);
+
+    const baseUrl = `${req.protocol}://${req.get('host')}/api/webhooks`;
+    res.json({
+      webhookSecret: secret,
+      urls: {
+        radarr: `${baseUrl}/radarr/${server.id}?token=${secret}`,
+        sonarr: `${baseUrl}/sonarr/${server.id}?token=${secret}`,
+        plex: `${baseUrl}/plex/${server.id}?token=${secret}`
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate webhook secret error:', error.message);
+    res.status(500).json({ error: 'Failed to generate webhook secret' });
+  }
+});
 
+/**
+ * DELETE /api/servers/:id/webhook-secret
+ * Disable webhooks for a server (admin only)
+ */
+router.delete('/:id/webhook-secret', requireAdmin, (req, res) => {
+  try {
+    const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(req.params.id);
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    db.prepare("UPDATE plex_servers SET webhook_secret = NULL, updated_at = datetime('now') WHERE id = ?")
+      .run(server.id);
+
+    // Log the action
+    db.prepare(`
+      INSERT INTO audit_log (user_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(req.user.id, 'disable_webhooks', `Disabled webhooks: ${server.name}`, req.ip);
+
+    res.json({ message: 'Webhooks disabled' });
+  } catch (error) {
+    console.error('Disable webhooks error:', error.message);
+    res.status(500).json({ error: 'Failed to disable webhooks' });
+  }
+});
+
+/**
+ * Build a handler that lists a Radarr/Sonarr resource for a server
+ */
+function arrResourceHandler(service, resource, mapItem) {
+  return async (req, res) => {
+    try {
+      const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(req.params.id);
+      if (!server) {
+        return res.status(404).json({ error: 'Server not found' });
+      }
+
+      const baseUrl = server[`${service}_url`];
+      const encryptedKey = server[`${service}_api_key`];
+      if (!baseUrl || !encryptedKey) {
+        return res.status(400).json({ error: `${service === 'radarr' ? 'Radarr' : 'Sonarr'} not configured` });
+      }
+
+      const response = await axios.get(`${baseUrl}/api/v3/${resource}`, {
+        headers: { 'X-Api-Key': decrypt(encryptedKey) },
+        timeout: 10000
+      });
+
+      res.json((response.data || []).map(mapItem));
+    } catch (error) {
+      console.error(`Get ${service} ${resource} error:`, error.message);
+      res.status(500).json({ error: `Failed to get ${service === 'radarr' ? 'Radarr' : 'Sonarr'} ${resource}` });
+    }
+  };
+}
+
+const mapProfile = p => ({ id: p.id, name: p.name });
+const mapRootFolder = f => ({ id: f.id, path: f.path, freeSpace: f.freeSpace, accessible: f.accessible });
+const mapTag = t => ({ id: t.id, label: t.label });
+
+/**
+ * GET /api/servers/:id/radarr/profiles
+ * GET /api/servers/:id/radarr/rootfolders
+ * GET /api/servers/:id/radarr/tags
+ * List Radarr quality profiles, root folders and tags
+ */
+router.get('/:id/radarr/profiles', requireAdmin, arrResourceHandler('radarr', 'qualityprofile', mapProfile));
+router.get('/:id/radarr/rootfolders', requireAdmin, arrResourceHandler('radarr', 'rootfolder', mapRootFolder));
+router.get('/:id/radarr/tags', requireAdmin, arrResourceHandler('radarr', 'tag', mapTag));
+
+/**
+ * GET /api/servers/:id/sonarr/profiles
+ * GET /api/servers/:id/sonarr/languageprofiles
+ * GET /api/servers/:id/sonarr/rootfolders
+ * GET /api/servers/:id/sonarr/tags
+ * List Sonarr quality profiles, language profiles, root folders and tags
+ */
+router.get('/:id/sonarr/profiles', requireAdmin, arrResourceHandler('sonarr', 'qualityprofile', mapProfile));
+router.get('/:id/sonarr/languageprofiles', requireAdmin, arrResourceHandler('sonarr', 'languageprofile', mapProfile));
+router.get('/:id/sonarr/rootfolders', requireAdmin, arrResourceHandler('sonarr', 'rootfolder', mapRootFolder));
+router.get('/:id/sonarr/tags', requireAdmin, arrResourceHandler('sonarr', 'tag', mapTag));
 
 module.exports = router;
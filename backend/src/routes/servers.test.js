@@ -0,0 +1,80 @@
+/**
+ * Server Management Routes tests
+ */
+
+const express = require('express');
+const db = require('../database');
+const serverRoutes = require('./servers');
+
+let server;
+let baseUrl;
+
+/**
+ * Send a JSON body to a server endpoint
+ */
+function send(method, path, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+beforeAll(done => {
+  db.prepare("INSERT INTO users (id, username, password_hash, role) VALUES ('admin', 'admin', 'x', 'admin')").run();
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'admin', role: 'admin', servers: [] };
+    next();
+  });
+  app.use('/api/servers', serverRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/servers`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+describe('Radarr/Sonarr defaults', () => {
+  const plex = { name: 'Home', url: 'http://plex', token: 'token' };
+
+  test('are stored when valid', async () => {
+    const response = await send('POST', '/', { ...plex, radarrQualityProfileId: 4, radarrTags: [1, 2], sonarrRootFolder: '/tv' });
+    const { serverId } = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(db.prepare('SELECT radarr_quality_profile_id, radarr_tags FROM plex_servers WHERE id = ?').get(serverId))
+      .toEqual({ radarr_quality_profile_id: 4, radarr_tags: '[1,2]' });
+  });
+
+  test('reject tags that are not a list of tag ids', async () => {
+    const response = await send('POST', '/', { ...plex, radarrTags: '1,2' });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Radarr tags must be a list of tag ids' });
+    expect((await send('POST', '/', { ...plex, sonarrTags: [1, 'x'] })).status).toBe(400);
+  });
+
+  test('reject profile ids that are not positive integers', async () => {
+    expect((await send('POST', '/', { ...plex, radarrQualityProfileId: 'HD' })).status).toBe(400);
+    expect((await send('POST', '/', { ...plex, sonarrLanguageProfileId: -1 })).status).toBe(400);
+  });
+
+  test('are validated on update, and can be cleared', async () => {
+    const { serverId } = await (await send('POST', '/', plex)).json();
+
+    const invalid = await send('PUT', `/${serverId}`, { sonarrQualityProfileId: 1.5 });
+    expect(invalid.status).toBe(400);
+    expect(await invalid.json()).toEqual({ error: 'Sonarr quality profile must be a profile id' });
+
+    expect((await send('PUT', `/${serverId}`, { sonarrQualityProfileId: 2, sonarrTags: [3] })).status).toBe(200);
+    expect((await send('PUT', `/${serverId}`, { sonarrQualityProfileId: null, sonarrTags: [] })).status).toBe(200);
+    expect(db.prepare('SELECT sonarr_quality_profile_id, sonarr_tags FROM plex_servers WHERE id = ?').get(serverId))
+      .toEqual({ sonarr_quality_profile_id: null, sonarr_tags: null });
+  });
+});
@@ -344,8 +344,12 @@ router.post('/restore', (req, res) => {
 
       // Import servers
       const insertServer = db.prepare(`
-        INSERT OR REPLACE INTO plex_servers (id, name, url, token, library_section_id, radarr_url, radarr_api_key, sonarr_url, sonarr_api_key)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT OR REPLACE INTO plex_servers (
+          id, name, url, token, library_section_id, radarr_url, radarr_api_key, sonarr_url, sonarr_api_key,
+          radarr_quality_profile_id, radarr_root_folder, radarr_tags,
+          sonarr_quality_profile_id, sonarr_root_folder, sonarr_language_profile_id, sonarr_tags, webhook_secret
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       for (const server of data.servers || []) {
         insertServer.run(
@@ -357,7 +361,15 @@ router.post('/restore', (req, res) => {
           server.radarrUrl,
           server.radarrApiKey,
           server.sonarrUrl,
-          server.sonarrApiKey
+          server.sonarrApiKey,
+          server.radarrQualityProfileId || null,
+          server.radarrRootFolder || null,
+          server.radarrTags || null,
+          server.sonarrQualityProfileId || null,
+          server.sonarrRootFolder || null,
+          server.sonarrLanguageProfileId || null,
+          server.sonarrTags || null,
+          server.webhookSecret || null
         );
       }
 
@@ -374,22 +386,46 @@ router.post('/restore', (req, res) => {
           .run(servers[0].id, adminUser.id);
       }
 
-      // Import RSS items
+      // Import RSS items (users aren't restored during setup, so the admin owns them)
       if (data.rssItems) {
         const insertRss = db.prepare(`
-          INSERT OR IGNORE INTO rss_items (id, type, tmdb_id, title, year, added_by, server_id, created_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          INSERT OR IGNORE INTO rss_items (id, server_id, content_type, tmdb_id, title, year, overview, poster_path, seasons, added_by, added_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         for (const item of data.rssItems) {
           insertRss.run(
             item.id,
-            item.type,
-            item.tmdbId,
+            item.server_id,
+            item.content_type,
+            item.tmdb_id,
             item.title,
             item.year,
+            item.overview,
+            item.poster_path,
+            item.seasons,
             adminUser.id,
-            item.serverId,
-            item.createdAt
+            item.added_at
+          );
+        }
+      }
+
+      // Import auto-approval rules (their authors aren't restored during setup)
+      if (data.approvalRules) {
+        const insertRule = db.prepare(`
+          INSERT OR REPLACE INTO approval_rules (id, name, action, conditions, priority, enabled, created_by, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, (SELECT id FROM users WHERE id = ?), ?, ?)
+        `);
+        for (const rule of data.approvalRules) {
+          insertRule.run(
+            rule.id,
+            rule.name,
+            rule.action,
+            rule.conditions,
+            rule.priority,
+            rule.enabled,
+            rule.created_by,
+            rule.created_at,
+            rule.updated_at
           );
         }
       }
@@ -397,20 +433,25 @@ router.post('/restore', (req, res) => {
       // Import content requests
       if (data.requests) {
         const insertRequest = db.prepare(`
-          INSERT OR IGNORE INTO content_requests (id, type, tmdb_id, title, year, status, requested_by, server_id, created_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          INSERT OR IGNORE INTO content_requests (id, user_id, server_id, tmdb_id, content_type, title, year, overview, poster_path, status, seasons, requested_at, processed_at, notes)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         for (const request of data.requests) {
           insertRequest.run(
             request.id,
-            request.type,
-            request.tmdbId,
+            adminUser.id,
+            request.server_id,
+            request.tmdb_id,
+            request.content_type,
             request.title,
             request.year,
+            request.overview,
+            request.poster_path,
             request.status,
-            adminUser.id,
-            request.serverId,
-            request.createdAt
+            request.seasons,
+            request.requested_at,
+            request.processed_at,
+            request.notes
           );
         }
       }
@@ -419,7 +460,7 @@ router.post('/restore', (req, res) => {
       db.prepare(`
         INSERT INTO audit_log (user_id, action, details, ip_address)
         VALUES (?, ?, ?, ?)
-      `).run(adminUser.id, 'setup_restore', `Restored from backup: ${data.servers?.length || 0} servers, ${data.rssItems?.length || 0} RSS items`, req.ip);
+      `).run(adminUser.id, 'setup_restore', `Restored from backup: ${data.servers?.length || 0} servers, ${data.rssItems?.length || 0} RSS items, ${data.approvalRules?.length || 0} approval rules`, req.ip);
     });
 
     transaction();
@@ -427,12 +468,14 @@ router.post('/restore', (req, res) => {
     // Count what was imported
     const serverCount = db.prepare('SELECT COUNT(*) as count FROM plex_servers').get().count;
     const rssCount = db.prepare('SELECT COUNT(*) as count FROM rss_items').get().count;
+    const ruleCount = db.prepare('SELECT COUNT(*) as count FROM approval_rules').get().count;
 
     res.json({ 
       message: 'Backup restored successfully',
       imported: {
         servers: serverCount,
-        rssItems: rssCount
+        rssItems: rssCount,
+        approvalRules: ruleCount
       }
     });
   } catch (error) {
@@ -471,6 +514,7 @@ router.post('/restore/preview', (req, res) => {
         servers: data.servers?.length || 0,
         users: data.users?.length || 0,
         rssItems: data.rssItems?.length || 0,
+        approvalRules: data.approvalRules?.length || 0,
         requests: data.requests?.length || 0,
         settings: data.settings?.length || 0
       }
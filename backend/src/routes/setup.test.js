@@ -0,0 +1,63 @@
+/**
+ * Setup Routes tests
+ */
+
+const express = require('express');
+const db = require('../database');
+const backupRoutes = require('./backup');
+const setupRoutes = require('./setup');
+
+let server;
+let baseUrl;
+
+beforeAll(done => {
+  db.prepare("INSERT INTO users (id, username, password_hash, role) VALUES ('admin', 'admin', 'x', 'admin')").run();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/backup', (req, res, next) => {
+    req.user = { id: 'admin', username: 'admin', role: 'admin' };
+    next();
+  }, backupRoutes);
+  app.use('/api/setup', setupRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+describe('POST /api/setup/restore', () => {
+  test('restores servers, RSS items and auto-approval rules from an export', async () => {
+    db.prepare("INSERT INTO plex_servers (id, name, url, token) VALUES ('server', 'Home', 'http://plex', 'token')").run();
+    db.prepare(`
+      INSERT INTO rss_items (id, server_id, content_type, tmdb_id, title, seasons, added_by)
+      VALUES ('rss', 'server', 'tv', 1399, 'Game of Thrones', '[1]', 'admin')
+    `).run();
+    db.prepare(`
+      INSERT INTO approval_rules (id, name, action, conditions, priority, created_by)
+      VALUES ('rule', 'Good movies', 'approve', '{"minRating":7}', 2, 'admin')
+    `).run();
+
+    const backup = await (await fetch(`${baseUrl}/backup/export`)).json();
+    for (const table of ['approval_rules', 'rss_items', 'plex_servers']) {
+      db.prepare(`DELETE FROM ${table}`).run();
+    }
+
+    const response = await fetch(`${baseUrl}/setup/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ backup })
+    });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).imported).toEqual({ servers: 1, rssItems: 1, approvalRules: 1 });
+    expect(db.prepare('SELECT tmdb_id, content_type, seasons FROM rss_items').get())
+      .toEqual({ tmdb_id: 1399, content_type: 'tv', seasons: '[1]' });
+    expect(db.prepare('SELECT name, action, conditions, priority, created_by FROM approval_rules').get())
+      .toEqual({ name: 'Good movies', action: 'approve', conditions: '{"minRating":7}', priority: 2, created_by: 'admin' });
+  });
+});
@@ -8,9 +8,32 @@ const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const db = require('../database');
 const { requireAdmin } = require('../middleware/auth');
+const { CHANNELS, getUserPreferences, setUserPreferences } = require('../services/notifications');
+const { getUserQuota } = require('../services/quotas');
 
 const router = express.Router();
 
+/**
+ * Check the per-user quota overrides in an update body. null clears an
+ * override; limits are whole numbers (0 is unlimited) and the window is at
+ * least a day. Returns an error message, or null when they are valid.
+ */
+function validateQuotaOverrides({ quotaMovieLimit, quotaTvLimit, quotaDays }) {
+  const isWholeNumber = (value, min) => value === undefined || value === null || value === ''
+    || (Number.isInteger(value) && value >= min);
+
+  if (!isWholeNumber(quotaMovieLimit, 0)) {
+    return 'Movie quota must be a whole number (0 for unlimited)';
+  }
+  if (!isWholeNumber(quotaTvLimit, 0)) {
+    return 'TV quota must be a whole number of seasons (0 for unlimited)';
+  }
+  if (!isWholeNumber(quotaDays, 1)) {
+    return 'Quota window must be a whole number of days, at least 1';
+  }
+  return null;
+}
+
 /**
  * GET /api/users
  * List all users (admin only)
@@ -19,7 +42,7 @@ router.get('/', requireAdmin, (req, res) => {
   try {
     const users = db.prepare(`
       SELECT id, username, email, role, can_add_directly, primary_server_id, 
-             created_at, last_login
+             quota_movie_limit, quota_tv_limit, quota_days, user_group, created_at, last_login
       FROM users
       ORDER BY created_at DESC
     `).all();
@@ -35,6 +58,7 @@ router.get('/', requireAdmin, (req, res) => {
       return {
         ...user,
         canAddDirectly: user.can_add_directly === 1,
+        group: user.user_group,
         servers
       };
     });
@@ -52,7 +76,7 @@ router.get('/', requireAdmin, (req, res) => {
  */
 router.post('/', requireAdmin, (req, res) => {
   try {
-    const { username, password, email, role, canAddDirectly, serverIds, primaryServerId } = req.body;
+    const { username, password, email, role, canAddDirectly, serverIds, primaryServerId, group } = req.body;
 
     // Validation
     if (!username || !password) {
@@ -78,8 +102,8 @@ router.post('/', requireAdmin, (req, res) => {
     const passwordHash = bcrypt.hashSync(password, 12);
 
     db.prepare(`
-      INSERT INTO users (id, username, password_hash, email, role, can_add_directly, primary_server_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO users (id, username, password_hash, email, role, can_add_directly, primary_server_id, user_group)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       userId,
       username.toLowerCase(),
@@ -87,7 +111,8 @@ router.post('/', requireAdmin, (req, res) => {
       email || null,
       role || 'user',
       canAddDirectly ? 1 : 0,
-      primaryServerId || null
+      primaryServerId || null,
+      group || null
     );
 
     // Assign servers
@@ -133,7 +158,7 @@ router.get('/:id', (req, res) => {
 
     const user = db.prepare(`
       SELECT id, username, email, role, can_add_directly, primary_server_id, 
-             created_at, last_login
+             quota_movie_limit, quota_tv_limit, quota_days, user_group, created_at, last_login
       FROM users WHERE id = ?
     `).get(req.params.id);
 
@@ -150,6 +175,7 @@ router.get('/:id', (req, res) => {
     res.json({
       ...user,
       canAddDirectly: user.can_add_directly === 1,
+      group: user.user_group,
       servers
     });
   } catch (error) {
@@ -176,7 +202,18 @@ router.put('/:id', (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const { email, role, canAddDirectly, serverIds, primaryServerId, password } = req.body;
+    const { 
+      email, 
+      role, 
+      canAddDirectly, 
+      serverIds, 
+      primaryServerId, 
+      password,
+      quotaMovieLimit,
+      quotaTvLimit,
+      quotaDays,
+      group
+    } = req.body;
 
     // Non-admins can only update email and password
     if (!isAdmin) {
@@ -195,6 +232,11 @@ router.put('/:id', (req, res) => {
       }
     } else {
       // Admin can update everything
+      const invalidQuota = validateQuotaOverrides(req.body);
+      if (invalidQuota) {
+        return res.status(400).json({ error: invalidQuota });
+      }
+
       const updates = [];
       const values = [];
 
@@ -218,6 +260,28 @@ router.put('/:id', (req, res) => {
         values.push(primaryServerId);
       }
 
+      // Group name used by auto-approval rules
+      if (group !== undefined) {
+        updates.push('user_group = ?');
+        values.push(group || null);
+      }
+
+      // Quota overrides: null falls back to the global default, 0 is unlimited
+      if (quotaMovieLimit !== undefined) {
+        updates.push('quota_movie_limit = ?');
+        values.push(quotaMovieLimit === null || quotaMovieLimit === '' ? null : quotaMovieLimit);
+      }
+
+      if (quotaTvLimit !== undefined) {
+        updates.push('quota_tv_limit = ?');
+        values.push(quotaTvLimit === null || quotaTvLimit === '' ? null : quotaTvLimit);
+      }
+
+      if (quotaDays !== undefined) {
+        updates.push('quota_days = ?');
+        values.push(quotaDays === null || quotaDays === '' ? null : quotaDays);
+      }
+
       if (password) {
         if (password.length < 8) {
           return res.status(400).json({ error: 'Password must be at least 8 characters' });
@@ -255,6 +319,93 @@ router.put('/:id', (req, res) => {
   }
 });
 
+/**
+ * GET /api/users/:id/quota
+ * Get request quota usage (own profile, or admin)
+ */
+router.get('/:id/quota', (req, res) => {
+  try {
+    if (req.params.id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const quota = getUserQuota(req.params.id);
+    if (!quota) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(quota);
+  } catch (error) {
+    console.error('Get quota error:', error.message);
+    res.status(500).json({ error: 'Failed to get quota' });
+  }
+});
+
+/**
+ * GET /api/users/:id/notifications
+ * Get notification preferences (own profile, or admin)
+ */
+router.get('/:id/notifications', (req, res) => {
+  try {
+    if (req.params.id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const user = db.prepare('SELECT id, role, email FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      channels: Object.values(CHANNELS).map(c => ({ name: c.name, enabled: c.isEnabled() })),
+      hasEmail: !!user.email,
+      preferences: getUserPreferences(user.id, user.role)
+    });
+  } catch (error) {
+    console.error('Get notification settings error:', error.message);
+    res.status(500).json({ error: 'Failed to get notification settings' });
+  }
+});
+
+/**
+ * PUT /api/users/:id/notifications
+ * Update notification preferences (own profile, or admin)
+ * Body: { preferences: { request_approved: { email: true, discord: false }, ... } }
+ */
+router.put('/:id/notifications', (req, res) => {
+  try {
+    if (req.params.id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const user = db.prepare('SELECT id, username, role FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { preferences } = req.body;
+    if (!preferences || typeof preferences !== 'object') {
+      return res.status(400).json({ error: 'Preferences required' });
+    }
+
+    setUserPreferences(user.id, user.role, preferences);
+
+    // Log the action
+    db.prepare(`
+      INSERT INTO audit_log (user_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(req.user.id, 'update_notifications', `Updated notification settings: ${user.username}`, req.ip);
+
+    res.json({
+      message: 'Notification settings updated',
+      preferences: getUserPreferences(user.id, user.role)
+    });
+  } catch (error) {
+    console.error('Update notification settings error:', error.message);
+    res.status(500).json({ error: 'Failed to update notification settings' });
+  }
+});
+
 /**
  * DELETE /api/users/:id
  * Delete user (admin only)
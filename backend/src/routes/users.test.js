@@ -0,0 +1,77 @@
+/**
+ * User Routes tests
+ */
+
+const express = require('express');
+const db = require('../database');
+const userRoutes = require('./users');
+
+let server;
+let baseUrl;
+
+/**
+ * Update alice as an admin
+ */
+function updateAlice(body) {
+  return fetch(`${baseUrl}/alice`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+/**
+ * alice's stored quota overrides
+ */
+function aliceQuota() {
+  return db.prepare("SELECT quota_movie_limit, quota_tv_limit, quota_days FROM users WHERE id = 'alice'").get();
+}
+
+beforeAll(done => {
+  db.prepare(`
+    INSERT INTO users (id, username, password_hash, role)
+    VALUES ('admin', 'admin', 'x', 'admin'), ('alice', 'alice', 'x', 'user')
+  `).run();
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'admin', username: 'admin', role: 'admin' };
+    next();
+  });
+  app.use('/api/users', userRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/users`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+describe('PUT /api/users/:id quota overrides', () => {
+  test('stores whole numbers and clears with null', async () => {
+    expect((await updateAlice({ quotaMovieLimit: 0, quotaTvLimit: 4, quotaDays: 30 })).status).toBe(200);
+    expect(aliceQuota()).toEqual({ quota_movie_limit: 0, quota_tv_limit: 4, quota_days: 30 });
+
+    expect((await updateAlice({ quotaMovieLimit: null, quotaTvLimit: null, quotaDays: null })).status).toBe(200);
+    expect(aliceQuota()).toEqual({ quota_movie_limit: null, quota_tv_limit: null, quota_days: null });
+  });
+
+  test('rejects limits that are not whole numbers', async () => {
+    for (const body of [{ quotaMovieLimit: 'abc' }, { quotaMovieLimit: -1 }, { quotaTvLimit: 2.5 }]) {
+      expect((await updateAlice(body)).status).toBe(400);
+    }
+    expect(aliceQuota().quota_movie_limit).toBeNull();
+  });
+
+  test('rejects a window shorter than a day', async () => {
+    const response = await updateAlice({ quotaDays: -3, email: 'alice@example.com' });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Quota window must be a whole number of days, at least 1' });
+    expect((await updateAlice({ quotaDays: 0 })).status).toBe(400);
+    expect(db.prepare("SELECT email FROM users WHERE id = 'alice'").get().email).toBeNull();
+  });
+});
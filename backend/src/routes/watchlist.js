@@ -0,0 +1,180 @@
+/**
+ * Watchlist Routes
+ * Titles a user follows for release and new season notifications, without
+ * requesting them
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const db = require('../database');
+const { getReleaseState } = require('../services/watchlist');
+
+const router = express.Router();
+
+/**
+ * Format a watchlist row for the API
+ */
+function formatItem(item) {
+  return {
+    id: item.id,
+    tmdbId: item.tmdb_id,
+    contentType: item.content_type,
+    title: item.title,
+    year: item.year,
+    posterPath: item.poster_path,
+    autoRequest: item.auto_request === 1,
+    released: item.released === null ? null : item.released === 1,
+    lastSeason: item.last_season,
+    lastCheckedAt: item.last_checked_at,
+    lastNotifiedAt: item.last_notified_at,
+    lastRequestId: item.last_request_id,
+    addedAt: item.added_at
+  };
+}
+
+/**
+ * Get one of the user's watchlist items by content type and TMDB id
+ */
+function getItem(userId, contentType, tmdbId) {
+  return db.prepare('SELECT * FROM watchlist WHERE user_id = ? AND content_type = ? AND tmdb_id = ?')
+    .get(userId, contentType, parseInt(tmdbId));
+}
+
+/**
+ * GET /api/watchlist
+ * List the user's watchlist
+ */
+router.get('/', (req, res) => {
+  try {
+    const { type } = req.query;
+
+    let sql = 'SELECT * FROM watchlist WHERE user_id = ?';
+    const params = [req.user.id];
+    if (type) {
+      sql += ' AND content_type = ?';
+      params.push(type);
+    }
+    sql += ' ORDER BY added_at DESC';
+
+    res.json(db.prepare(sql).all(...params).map(formatItem));
+  } catch (error) {
+    console.error('List watchlist error:', error.message);
+    res.status(500).json({ error: 'Failed to list watchlist' });
+  }
+});
+
+/**
+ * POST /api/watchlist
+ * Add a title to the user's watchlist
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { tmdbId, contentType, title, year, posterPath, autoRequest } = req.body;
+
+    if (!tmdbId || !contentType || !title) {
+      return res.status(400).json({ error: 'TMDB ID, content type, and title required' });
+    }
+
+    if (!['movie', 'tv'].includes(contentType)) {
+      return res.status(400).json({ error: 'Invalid content type' });
+    }
+
+    if (getItem(req.user.id, contentType, tmdbId)) {
+      return res.status(409).json({ error: 'Already on your watchlist' });
+    }
+
+    // Record the current release state, so only later changes are notified.
+    // If TMDB can't be reached, the watchlist job records it instead.
+    let state = { released: null, lastSeason: null };
+    try {
+      state = await getReleaseState(tmdbId, contentType);
+    } catch (err) {
+      console.error('Watchlist release state error:', err.message);
+    }
+
+    const id = crypto.randomUUID();
+    db.prepare(`
+      INSERT INTO watchlist (id, user_id, tmdb_id, content_type, title, year, poster_path, auto_request, released, last_season)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      req.user.id,
+      parseInt(tmdbId),
+      contentType,
+      title,
+      year || null,
+      posterPath || null,
+      autoRequest ? 1 : 0,
+      state.released === null ? null : (state.released ? 1 : 0),
+      state.lastSeason
+    );
+
+    res.status(201).json(formatItem(db.prepare('SELECT * FROM watchlist WHERE id = ?').get(id)));
+  } catch (error) {
+    console.error('Add to watchlist error:', error.message);
+    res.status(500).json({ error: 'Failed to add to watchlist' });
+  }
+});
+
+/**
+ * GET /api/watchlist/:contentType/:tmdbId
+ * Get a watchlist item
+ */
+router.get('/:contentType/:tmdbId', (req, res) => {
+  try {
+    const item = getItem(req.user.id, req.params.contentType, req.params.tmdbId);
+    if (!item) {
+      return res.status(404).json({ error: 'Not on your watchlist' });
+    }
+
+    res.json(formatItem(item));
+  } catch (error) {
+    console.error('Get watchlist item error:', error.message);
+    res.status(500).json({ error: 'Failed to get watchlist item' });
+  }
+});
+
+/**
+ * PUT /api/watchlist/:contentType/:tmdbId
+ * Update a watchlist item (auto-request on release/new season)
+ */
+router.put('/:contentType/:tmdbId', (req, res) => {
+  try {
+    const item = getItem(req.user.id, req.params.contentType, req.params.tmdbId);
+    if (!item) {
+      return res.status(404).json({ error: 'Not on your watchlist' });
+    }
+
+    const { autoRequest } = req.body;
+    if (autoRequest !== undefined) {
+      db.prepare('UPDATE watchlist SET auto_request = ? WHERE id = ?').run(autoRequest ? 1 : 0, item.id);
+    }
+
+    res.json(formatItem(db.prepare('SELECT * FROM watchlist WHERE id = ?').get(item.id)));
+  } catch (error) {
+    console.error('Update watchlist item error:', error.message);
+    res.status(500).json({ error: 'Failed to update watchlist item' });
+  }
+});
+
+/**
+ * DELETE /api/watchlist/:contentType/:tmdbId
+ * Remove a title from the user's watchlist
+ */
+router.delete('/:contentType/:tmdbId', (req, res) => {
+  try {
+    const item = getItem(req.user.id, req.params.contentType, req.params.tmdbId);
+    if (!item) {
+      return res.status(404).json({ error: 'Not on your watchlist' });
+    }
+
+    db.prepare('DELETE FROM watchlist WHERE id = ?').run(item.id);
+
+    res.json({ message: 'Removed from watchlist' });
+  } catch (error) {
+    console.error('Remove from watchlist error:', error.message);
+    res.status(500).json({ error: 'Failed to remove from watchlist' });
+  }
+});
+
+module.exports = router;
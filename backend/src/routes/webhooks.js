@@ -0,0 +1,308 @@
+/**
+ * Webhook Routes
+ * Event receivers for Radarr, Sonarr and Plex
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const db = require('../database');
+const { decrypt } = require('../database');
+const { findTmdbId } = require('../services/idMapping');
+const { clearCache } = require('../services/cache');
+const { invalidateArrSnapshot } = require('../services/arrSnapshot');
+const { syncRequests } = require('../jobs/requestSync');
+const { notify } = require('../services/notifications');
+const { addRequestEvent } = require('../services/requestEvents');
+const { parsePlexGuids } = require('../services/plex');
+const { refreshServerLibrary } = require('../services/plexLibrary');
+
+const router = express.Router();
+
+// Plex sends webhooks as multipart/form-data with a JSON "payload" field
+const plexUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+/**
+ * Compare two secrets in constant time
+ */
+function secretsMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verify the per-server webhook secret.
+ * Accepted as a "token" query parameter or as the Basic auth password.
+ */
+function verifyWebhookSecret(req, res, next) {
+  const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(req.params.serverId);
+  if (!server) {
+    return res.status(404).json({ error: 'Server not found' });
+  }
+
+  const expected = server.webhook_secret ? decrypt(server.webhook_secret) : null;
+  if (!expected) {
+    return res.status(403).json({ error: 'Webhooks not enabled for this server' });
+  }
+
+  let provided = req.query.token;
+  const authHeader = req.headers['authorization'];
+  if (!provided && authHeader?.startsWith('Basic ')) {
+    const credentials = Buffer.from(authHeader.split(' ')[1], 'base64').toString('utf8');
+    provided = credentials.slice(credentials.indexOf(':') + 1);
+  }
+
+  if (!provided || !secretsMatch(String(provided), expected)) {
+    return res.status(401).json({ error: 'Invalid webhook secret' });
+  }
+
+  req.server = server;
+  next();
+}
+
+/**
+ * Find the requests and RSS items on a server matching a webhook event
+ */
+function findMatches(serverId, contentType, { tmdbId, title }) {
+  const column = tmdbId ? 'tmdb_id' : 'LOWER(title)';
+  const value = tmdbId || title?.toLowerCase();
+  if (!value) return { requests: [], rssItems: [] };
+
+  return {
+    requests: db.prepare(`
+      SELECT * FROM content_requests
+      WHERE server_id = ? AND content_type = ? AND ${column} = ? AND status IN ('approved', 'downloaded', 'available')
+    `).all(serverId, contentType, value),
+    rssItems: db.prepare(`
+      SELECT * FROM rss_items
+      WHERE server_id = ? AND content_type = ? AND ${column} = ?
+    `).all(serverId, contentType, value)
+  };
+}
+
+/**
+ * Record an event on matching requests and RSS items, applying its status change.
+ * details (source, release) go into the requests' timelines. partial events only
+ * concern part of a title (e.g. one deleted episode file) and leave the status alone.
+ */
+function applyEvent(matches, event, details = {}, { partial = false } = {}) {
+  const recordEvent = table => db.prepare(`
+    UPDATE ${table} SET last_event = ?, last_event_at = datetime('now') WHERE id = ?
+  `);
+  const recordRequestEvent = recordEvent('content_requests');
+  const recordRssEvent = recordEvent('rss_items');
+
+  const transaction = db.transaction(() => {
+    for (const request of matches.requests) {
+      recordRequestEvent.run(event, request.id);
+
+      // A new episode on Plex doesn't make a series request available; the sync job records that
+      if (!(event === 'available' && request.content_type === 'tv')) {
+        addRequestEvent(request.id, event, { details });
+      }
+
+      if (event === 'imported' && request.content_type === 'movie') {
+        db.prepare(`
+          UPDATE content_requests
+          SET status = 'downloaded', downloaded_at = COALESCE(downloaded_at, datetime('now'))
+          WHERE id = ? AND status != 'available'
+        `).run(request.id);
+      } else if (event === 'available' && request.content_type === 'movie') {
+        db.prepare(`
+          UPDATE content_requests
+          SET status = 'available', downloaded_at = COALESCE(downloaded_at, datetime('now')),
+              available_at = COALESCE(available_at, datetime('now'))
+          WHERE id = ?
+        `).run(request.id);
+      } else if (event === 'deleted' && !partial) {
+        // Send the request back to the sync job
+        db.prepare(`
+          UPDATE content_requests
+          SET status = 'approved', downloaded_at = NULL, available_at = NULL
+          WHERE id = ?
+        `).run(request.id);
+      }
+    }
+
+    for (const item of matches.rssItems) {
+      recordRssEvent.run(event, item.id);
+    }
+  });
+
+  transaction();
+
+  for (const request of matches.requests.filter(r => r.content_type === 'movie')) {
+    if (event === 'imported' && request.status === 'approved') {
+      notify('request_downloaded', { ...request, status: 'downloaded' });
+    } else if (event === 'available' && !request.available_at) {
+      notify('request_available', { ...request, status: 'available' });
+    }
+  }
+
+  // Series imports are per episode, so let the sync job decide whether the requested seasons are complete
+  if (['imported', 'available'].includes(event)) {
+    const seriesRequests = matches.requests.filter(r => r.content_type === 'tv');
+    if (seriesRequests.length > 0) {
+      const ids = seriesRequests.map(r => r.id);
+      const fresh = db.prepare(`
+        SELECT * FROM content_requests WHERE id IN (${ids.map(() => '?').join(',')}) AND available_at IS NULL
+      `).all(...ids);
+      syncRequests(fresh).catch(error => {
+        console.error('[Webhooks] Series sync failed:', error.message);
+      });
+    }
+  }
+
+  return { requests: matches.requests.length, rssItems: matches.rssItems.length };
+}
+
+/**
+ * Map a Radarr/Sonarr event type to a BigFlix event
+ */
+function mapArrEvent(payload) {
+  switch (payload.eventType) {
+    case 'Grab':
+      return 'grabbed';
+    case 'Download':
+      return 'imported';
+    case 'ManualInteractionRequired':
+      return 'failed';
+    case 'MovieDelete':
+    case 'SeriesDelete':
+      return 'deleted';
+    case 'MovieFileDelete':
+    case 'EpisodeFileDelete':
+      // Upgrades delete the old file right before importing the new one
+      return payload.deleteReason === 'upgrade' ? null : 'deleted';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Timeline details of a Radarr/Sonarr event
+ */
+function getArrEventDetails(source, payload) {
+  const seasons = [...new Set((payload.episodes || []).map(e => e.seasonNumber))];
+  return {
+    source,
+    releaseTitle: payload.release?.releaseTitle || payload.movieFile?.sceneName || payload.episodeFile?.sceneName || null,
+    ...(seasons.length > 0 && { seasons })
+  };
+}
+
+/**
+ * POST /api/webhooks/radarr/:serverId
+ * Receive Radarr "On Grab / On Import / On Delete" events
+ */
+router.post('/radarr/:serverId', verifyWebhookSecret, (req, res) => {
+  try {
+    const payload = req.body || {};
+    if (payload.eventType === 'Test') {
+      return res.json({ message: 'Test received' });
+    }
+
+    const event = mapArrEvent(payload);
+    if (!event || !payload.movie) {
+      return res.json({ message: 'Event ignored' });
+    }
+
+    const matches = findMatches(req.server.id, 'movie', {
+      tmdbId: payload.movie.tmdbId,
+      title: payload.movie.title
+    });
+    const updated = applyEvent(matches, event, getArrEventDetails('radarr', payload));
+    clearCache('plex', { serverId: req.server.id, prefix: 'movie_' });
+    invalidateArrSnapshot(req.server.id, 'radarr');
+
+    console.log(`[Webhooks] Radarr ${payload.eventType}: ${payload.movie.title}`);
+    res.json({ message: 'Event processed', event, updated });
+  } catch (error) {
+    console.error('Radarr webhook error:', error.message);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+/**
+ * POST /api/webhooks/sonarr/:serverId
+ * Receive Sonarr "On Grab / On Import / On Delete" events
+ */
+router.post('/sonarr/:serverId', verifyWebhookSecret, (req, res) => {
+  try {
+    const payload = req.body || {};
+    if (payload.eventType === 'Test') {
+      return res.json({ message: 'Test received' });
+    }
+
+    const event = mapArrEvent(payload);
+    if (!event || !payload.series) {
+      return res.json({ message: 'Event ignored' });
+    }
+
+    // Sonarr v4 includes the TMDB id; otherwise map back from the TVDB/IMDb id
+    const tmdbId = payload.series.tmdbId || findTmdbId('tv', {
+      tvdbId: payload.series.tvdbId,
+      imdbId: payload.series.imdbId
+    });
+
+    const matches = findMatches(req.server.id, 'tv', { tmdbId, title: payload.series.title });
+    // Deleting one episode file doesn't undo the rest of the series
+    const updated = applyEvent(matches, event, getArrEventDetails('sonarr', payload), {
+      partial: payload.eventType === 'EpisodeFileDelete'
+    });
+    clearCache('plex', { serverId: req.server.id, prefix: 'tv_' });
+    invalidateArrSnapshot(req.server.id, 'sonarr');
+
+    console.log(`[Webhooks] Sonarr ${payload.eventType}: ${payload.series.title}`);
+    res.json({ message: 'Event processed', event, updated });
+  } catch (error) {
+    console.error('Sonarr webhook error:', error.message);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+/**
+ * POST /api/webhooks/plex/:serverId
+ * Receive Plex "library.new" events
+ */
+router.post('/plex/:serverId', verifyWebhookSecret, plexUpload.any(), (req, res) => {
+  try {
+    const payload = typeof req.body?.payload === 'string' ? JSON.parse(req.body.payload) : req.body;
+    const metadata = payload?.Metadata;
+
+    if (payload?.event !== 'library.new' || !metadata) {
+      return res.json({ message: 'Event ignored' });
+    }
+
+    const contentType = metadata.type === 'movie' ? 'movie' : 'tv';
+    let criteria;
+
+    if (metadata.type === 'movie' || metadata.type === 'show') {
+      const ids = parsePlexGuids(metadata.Guid);
+      criteria = {
+        tmdbId: ids.tmdbId || findTmdbId(contentType, ids),
+        title: metadata.title
+      };
+    } else {
+      // Season and episode Guids identify the episode, not the show
+      criteria = { title: metadata.grandparentTitle || metadata.parentTitle };
+    }
+
+    const matches = findMatches(req.server.id, contentType, criteria);
+    const updated = applyEvent(matches, 'available', { source: 'plex' });
+    clearCache('plex', { serverId: req.server.id, prefix: `${contentType}_` });
+    refreshServerLibrary(req.server.id);
+
+    console.log(`[Webhooks] Plex library.new: ${criteria.title}`);
+    res.json({ message: 'Event processed', event: 'available', updated });
+  } catch (error) {
+    console.error('Plex webhook error:', error.message);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+module.exports = router;
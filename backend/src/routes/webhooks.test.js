@@ -0,0 +1,127 @@
+/**
+ * Webhook Routes tests
+ */
+
+jest.mock('../jobs/requestSync', () => ({ syncRequests: jest.fn().mockResolvedValue({}) }));
+jest.mock('../services/notifications', () => ({ notify: jest.fn() }));
+
+const express = require('express');
+const db = require('../database');
+const webhookRoutes = require('./webhooks');
+
+let server;
+let baseUrl;
+
+/**
+ * POST a JSON payload to a webhook endpoint
+ */
+function post(path, body = { eventType: 'Test' }, headers = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+/**
+ * Add a series request and return its id
+ */
+function addSeriesRequest(status) {
+  const id = `request-${Math.random().toString(36).slice(2)}`;
+  db.prepare(`
+    INSERT INTO content_requests (id, user_id, server_id, tmdb_id, content_type, title, status, seasons, downloaded_at)
+    VALUES (?, 'alice', 'secured', 1399, 'tv', 'Game of Thrones', ?, '[1]', datetime('now'))
+  `).run(id, status);
+  return id;
+}
+
+/**
+ * Current status of a request
+ */
+function statusOf(id) {
+  return db.prepare('SELECT status FROM content_requests WHERE id = ?').get(id).status;
+}
+
+beforeAll(done => {
+  db.prepare("INSERT INTO users (id, username, password_hash) VALUES ('alice', 'alice', 'x')").run();
+  db.prepare(`
+    INSERT INTO plex_servers (id, name, url, token, webhook_secret)
+    VALUES ('secured', 'Home', 'http://plex', 'token', ?), ('open', 'Cabin', 'http://plex', 'token', NULL)
+  `).run(db.encrypt('s3cret'));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/webhooks', webhookRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/webhooks`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  db.prepare('DELETE FROM request_events').run();
+  db.prepare('DELETE FROM content_requests').run();
+});
+
+describe('verifyWebhookSecret', () => {
+  test('rejects unknown servers', async () => {
+    const response = await post('/radarr/missing?token=s3cret');
+    expect(response.status).toBe(404);
+  });
+
+  test('rejects servers without a webhook secret', async () => {
+    const response = await post('/radarr/open?token=s3cret');
+    expect(response.status).toBe(403);
+  });
+
+  test('rejects a missing or wrong secret', async () => {
+    expect((await post('/radarr/secured')).status).toBe(401);
+    expect((await post('/radarr/secured?token=wrong')).status).toBe(401);
+
+    const basic = Buffer.from('sonarr:wrong').toString('base64');
+    expect((await post('/sonarr/secured', undefined, { Authorization: `Basic ${basic}` })).status).toBe(401);
+  });
+
+  test('accepts the secret as a token parameter', async () => {
+    const response = await post('/radarr/secured?token=s3cret');
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ message: 'Test received' });
+  });
+
+  test('accepts the secret as the Basic auth password', async () => {
+    const basic = Buffer.from('sonarr:s3cret').toString('base64');
+    const response = await post('/sonarr/secured', undefined, { Authorization: `Basic ${basic}` });
+
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('Sonarr delete events', () => {
+  const series = { tmdbId: 1399, title: 'Game of Thrones' };
+
+  test('keep the request status when one episode file is deleted', async () => {
+    const id = addSeriesRequest('available');
+
+    const response = await post('/sonarr/secured?token=s3cret', {
+      eventType: 'EpisodeFileDelete',
+      deleteReason: 'manual',
+      series
+    });
+
+    expect(await response.json()).toMatchObject({ event: 'deleted', updated: { requests: 1 } });
+    expect(statusOf(id)).toBe('available');
+  });
+
+  test('send the request back to approved when the series is deleted', async () => {
+    const id = addSeriesRequest('available');
+
+    await post('/sonarr/secured?token=s3cret', { eventType: 'SeriesDelete', series });
+
+    expect(statusOf(id)).toBe('approved');
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Auto-Approval Rules Service
+ * Decides whether a new request can skip the approval queue
+ *
+ * Each rule has an action ("approve" or "never") and a set of conditions that
+ * must all match. "never" rules are checked first and keep a request pending
+ * whatever else matches; otherwise the first matching "approve" rule (lowest
+ * priority number first) approves it.
+ */
+
+const db = require('../database');
+const { tmdbGet } = require('./tmdb');
+const { getNumberSetting } = require('./settings');
+
+const RULE_ACTIONS = ['approve', 'never'];
+
+// Conditions that need the title's TMDB details
+const TMDB_CONDITIONS = ['minRating', 'adult', 'runtimeAbove', 'sizeAbove'];
+
+// Download size per hour of runtime used to estimate a title's size, in GB.
+// Override with the rules_gb_per_hour setting.
+const DEFAULT_GB_PER_HOUR = 4;
+
+/**
+ * Validate a rule's name, action and conditions. Returns an error message or null.
+ */
+function validateRule({ name, action, conditions }) {
+  if (!name || !String(name).trim()) {
+    return 'Rule name required';
+  }
+  if (!RULE_ACTIONS.includes(action)) {
+    return `Action must be one of: ${RULE_ACTIONS.join(', ')}`;
+  }
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    return 'Conditions must be an object';
+  }
+
+  const { contentType, minRating, groups, userIds, seasons, adult, runtimeAbove, sizeAbove } = conditions;
+  const known = ['contentType', 'minRating', 'groups', 'userIds', 'seasons', 'adult', 'runtimeAbove', 'sizeAbove'];
+  const unknown = Object.keys(conditions).filter(key => !known.includes(key));
+
+  if (unknown.length > 0) return `Unknown condition: ${unknown.join(', ')}`;
+  if (contentType !== undefined && !['movie', 'tv'].includes(contentType)) return 'Invalid content type';
+  if (minRating !== undefined && (typeof minRating !== 'number' || minRating < 0 || minRating > 10)) {
+    return 'minRating must be a number between 0 and 10';
+  }
+  if (groups !== undefined && !Array.isArray(groups)) return 'groups must be an array';
+  if (userIds !== undefined && !Array.isArray(userIds)) return 'userIds must be an array';
+  if (seasons !== undefined && (!Array.isArray(seasons) || !seasons.every(Number.isInteger))) {
+    return 'seasons must be an array of season numbers';
+  }
+  if (adult !== undefined && typeof adult !== 'boolean') return 'adult must be true or false';
+  if (runtimeAbove !== undefined && (typeof runtimeAbove !== 'number' || runtimeAbove < 0)) {
+    return 'runtimeAbove must be a number of minutes';
+  }
+  if (sizeAbove !== undefined && (typeof sizeAbove !== 'number' || sizeAbove < 0)) {
+    return 'sizeAbove must be a number of GB';
+  }
+  if (Object.keys(conditions).length === 0 && action === 'approve') {
+    return 'An approve rule needs at least one condition';
+  }
+
+  return null;
+}
+
+/**
+ * Format a rule row for API responses
+ */
+function formatRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    action: rule.action,
+    conditions: JSON.parse(rule.conditions || '{}'),
+    priority: rule.priority,
+    enabled: rule.enabled === 1,
+    createdBy: rule.created_by,
+    createdAt: rule.created_at,
+    updatedAt: rule.updated_at
+  };
+}
+
+/**
+ * Load the TMDB details used by rule conditions
+ */
+async function loadTitleDetails(tmdbId, contentType) {
+  try {
+    return await tmdbGet(`/${contentType}/${tmdbId}`);
+  } catch (error) {
+    console.error(`[Rules] TMDB lookup failed for ${contentType} ${tmdbId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Total runtime in minutes: the movie runtime, or episode runtime times the
+ * requested episodes for a series
+ */
+function getTotalRuntime(details, contentType, seasons) {
+  if (contentType === 'movie') {
+    return details.runtime || 0;
+  }
+
+  const episodeRuntime = details.episode_run_time?.[0] || 0;
+  const requested = (details.seasons || []).filter(s =>
+    seasons?.length ? seasons.includes(s.season_number) : s.season_number > 0
+  );
+  const episodes = requested.reduce((sum, s) => sum + (s.episode_count || 0), 0);
+  return episodeRuntime * episodes;
+}
+
+/**
+ * Estimated download size in GB. The actual size isn't known until a release
+ * is grabbed, so it's the total runtime at rules_gb_per_hour.
+ */
+function getEstimatedSize(details, contentType, seasons) {
+  const gbPerHour = getNumberSetting('rules_gb_per_hour', DEFAULT_GB_PER_HOUR);
+  return (getTotalRuntime(details, contentType, seasons) / 60) * gbPerHour;
+}
+
+/**
+ * Check a single rule against a request. When the TMDB details couldn't be
+ * loaded, conditions that need them count as matching only if assumeMatch is set.
+ */
+function ruleMatches(conditions, context, assumeMatch = false) {
+  const { contentType, seasons, user, details } = context;
+
+  if (conditions.contentType && conditions.contentType !== contentType) return false;
+  if (conditions.userIds && !conditions.userIds.includes(user.id)) return false;
+  if (conditions.groups && !conditions.groups.includes(user.group)) return false;
+
+  // Only requests limited to the listed seasons match (a whole-series request doesn't)
+  if (conditions.seasons) {
+    if (contentType !== 'tv' || !seasons?.length) return false;
+    if (!seasons.every(s => conditions.seasons.includes(s))) return false;
+  }
+
+  if (TMDB_CONDITIONS.some(key => conditions[key] !== undefined)) {
+    if (!details) return assumeMatch;
+    if (conditions.minRating !== undefined && (details.vote_average || 0) < conditions.minRating) return false;
+    if (conditions.adult !== undefined && Boolean(details.adult) !== conditions.adult) return false;
+    if (conditions.runtimeAbove !== undefined &&
+        getTotalRuntime(details, contentType, seasons) <= conditions.runtimeAbove) return false;
+    if (conditions.sizeAbove !== undefined &&
+        getEstimatedSize(details, contentType, seasons) <= conditions.sizeAbove) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate the enabled rules for a new request.
+ * Returns { action, rule } for the deciding rule, or null when no rule matched.
+ */
+async function evaluateRules({ tmdbId, contentType, seasons, userId }) {
+  const rules = db.prepare(`
+    SELECT * FROM approval_rules WHERE enabled = 1 ORDER BY priority ASC, created_at ASC
+  `).all().map(formatRule);
+
+  if (!rules.some(r => r.action === 'approve')) return null;
+
+  const user = db.prepare('SELECT id, user_group FROM users WHERE id = ?').get(userId);
+  const needsDetails = rules.some(r => TMDB_CONDITIONS.some(key => r.conditions[key] !== undefined));
+  const details = needsDetails ? await loadTitleDetails(tmdbId, contentType) : null;
+
+  const context = {
+    contentType,
+    seasons: seasons?.map(Number),
+    user: { id: user.id, group: user.user_group },
+    details
+  };
+
+  // A "never" rule that can't be fully checked because TMDB is unavailable still blocks
+  const blocked = rules.find(r => r.action === 'never' && ruleMatches(r.conditions, context, true));
+  if (blocked) return { action: 'never', rule: blocked };
+
+  const approved = rules.find(r => r.action === 'approve' && ruleMatches(r.conditions, context));
+  return approved ? { action: 'approve', rule: approved } : null;
+}
+
+module.exports = {
+  RULE_ACTIONS,
+  validateRule,
+  formatRule,
+  evaluateRules
+};
@@ -0,0 +1,157 @@
+/**
+ * Auto-Approval Rules Service tests
+ */
+
+jest.mock('./tmdb', () => ({ tmdbGet: jest.fn() }));
+
+const db = require('../database');
+const { tmdbGet } = require('./tmdb');
+const { validateRule, evaluateRules } = require('./approvalRules');
+
+let ruleCount = 0;
+
+/**
+ * Create an enabled rule
+ */
+function createRule(action, conditions, { priority = 0, enabled = true } = {}) {
+  const id = `rule-${++ruleCount}`;
+  db.prepare(`
+    INSERT INTO approval_rules (id, name, action, conditions, priority, enabled)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, id, action, JSON.stringify(conditions), priority, enabled ? 1 : 0);
+  return id;
+}
+
+const movie = { tmdbId: 603, contentType: 'movie', userId: 'alice' };
+
+beforeAll(() => {
+  db.prepare("INSERT INTO users (id, username, password_hash, user_group) VALUES ('alice', 'alice', 'x', 'family')").run();
+});
+
+beforeEach(() => {
+  db.prepare('DELETE FROM approval_rules').run();
+  db.prepare("DELETE FROM settings WHERE key = 'rules_gb_per_hour'").run();
+  tmdbGet.mockReset();
+  tmdbGet.mockResolvedValue({ vote_average: 7.5, adult: false, runtime: 120 });
+});
+
+describe('evaluateRules', () => {
+  test('returns null without rules', async () => {
+    expect(await evaluateRules(movie)).toBeNull();
+  });
+
+  test('approves when every condition of a rule matches', async () => {
+    const id = createRule('approve', { contentType: 'movie', minRating: 7 });
+
+    expect(await evaluateRules(movie)).toMatchObject({ action: 'approve', rule: { id } });
+  });
+
+  test('does not approve when a condition fails', async () => {
+    createRule('approve', { contentType: 'movie', minRating: 8 });
+    createRule('approve', { contentType: 'tv' });
+
+    expect(await evaluateRules(movie)).toBeNull();
+  });
+
+  test('matches the requester group', async () => {
+    const id = createRule('approve', { groups: ['family'] });
+    createRule('approve', { groups: ['friends'] }, { priority: -1 });
+
+    expect(await evaluateRules(movie)).toMatchObject({ rule: { id } });
+  });
+
+  test('only matches series requests limited to the listed seasons', async () => {
+    createRule('approve', { seasons: [1] });
+    const series = { tmdbId: 1399, contentType: 'tv', userId: 'alice' };
+
+    expect(await evaluateRules({ ...series, seasons: [1] })).toMatchObject({ action: 'approve' });
+    expect(await evaluateRules({ ...series, seasons: [1, 2] })).toBeNull();
+    expect(await evaluateRules({ ...series, seasons: null })).toBeNull();
+  });
+
+  test('picks the approve rule with the lowest priority number', async () => {
+    createRule('approve', { contentType: 'movie' }, { priority: 5 });
+    const first = createRule('approve', { minRating: 5 }, { priority: 1 });
+
+    expect(await evaluateRules(movie)).toMatchObject({ rule: { id: first } });
+  });
+
+  test('ignores disabled rules', async () => {
+    createRule('approve', { contentType: 'movie' }, { enabled: false });
+
+    expect(await evaluateRules(movie)).toBeNull();
+  });
+
+  test('lets never rules win over approve rules', async () => {
+    createRule('approve', { contentType: 'movie' }, { priority: 1 });
+    const never = createRule('never', { adult: true }, { priority: 10 });
+    tmdbGet.mockResolvedValue({ vote_average: 7.5, adult: true, runtime: 90 });
+
+    expect(await evaluateRules(movie)).toMatchObject({ action: 'never', rule: { id: never } });
+  });
+
+  test('keeps never rules blocking when TMDB is unavailable', async () => {
+    createRule('approve', { contentType: 'movie' });
+    createRule('never', { adult: true });
+    tmdbGet.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+    expect(await evaluateRules(movie)).toMatchObject({ action: 'never' });
+  });
+
+  test('does not approve on TMDB conditions when TMDB is unavailable', async () => {
+    createRule('approve', { minRating: 5 });
+    tmdbGet.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+    expect(await evaluateRules(movie)).toBeNull();
+  });
+
+  test('estimates movie size from the runtime', async () => {
+    createRule('approve', { contentType: 'movie' });
+    const big = createRule('never', { sizeAbove: 5 });
+
+    // 2 hours at the default 4 GB per hour
+    expect(await evaluateRules(movie)).toMatchObject({ action: 'never', rule: { id: big } });
+
+    db.prepare("INSERT INTO settings (key, value) VALUES ('rules_gb_per_hour', '2')").run();
+    expect(await evaluateRules(movie)).toMatchObject({ action: 'approve' });
+  });
+
+  test('estimates series size from the requested episodes', async () => {
+    createRule('approve', { contentType: 'tv' });
+    createRule('never', { sizeAbove: 10 });
+    tmdbGet.mockResolvedValue({
+      episode_run_time: [60],
+      seasons: [
+        { season_number: 1, episode_count: 2 },
+        { season_number: 2, episode_count: 10 }
+      ]
+    });
+    const series = { tmdbId: 1399, contentType: 'tv', userId: 'alice' };
+
+    expect(await evaluateRules({ ...series, seasons: [1] })).toMatchObject({ action: 'approve' });
+    expect(await evaluateRules({ ...series, seasons: [2] })).toMatchObject({ action: 'never' });
+    expect(await evaluateRules({ ...series, seasons: null })).toMatchObject({ action: 'never' });
+  });
+});
+
+describe('validateRule', () => {
+  test('accepts a valid rule', () => {
+    expect(validateRule({ name: 'Good movies', action: 'approve', conditions: { minRating: 7, sizeAbove: 20 } })).toBeNull();
+  });
+
+  test('rejects unknown conditions and actions', () => {
+    expect(validateRule({ name: 'x', action: 'approve', conditions: { size: 5 } })).toBe('Unknown condition: size');
+    expect(validateRule({ name: 'x', action: 'maybe', conditions: {} })).toMatch(/^Action must be one of/);
+  });
+
+  test('rejects invalid condition values', () => {
+    expect(validateRule({ name: 'x', action: 'never', conditions: { sizeAbove: '5' } })).toBe('sizeAbove must be a number of GB');
+    expect(validateRule({ name: 'x', action: 'never', conditions: { minRating: 11 } })).toMatch(/^minRating/);
+  });
+
+  test('requires a condition on approve rules', () => {
+    expect(validateRule({ name: 'x', action: 'approve', conditions: {} })).toBe('An approve rule needs at least one condition');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Radarr/Sonarr Snapshot Cache
+ * Per-server copy of the Radarr movie list or Sonarr series list and its
+ * download queue, shared by search and requests. Snapshots live in the
+ * "radarr"/"sonarr" cache namespaces and are refetched after the TTL, or on
+ * next use after a webhook or an add invalidates them.
+ */
+
+const axios = require('axios');
+const { decrypt } = require('../database');
+const { remember, clearCache } = require('./cache');
+
+// Library endpoint, library index key and queue index key per service
+const SERVICES = {
+  radarr: { path: 'movie', itemKey: 'tmdbId', queueKey: 'movieId' },
+  sonarr: { path: 'series', itemKey: 'tvdbId', queueKey: 'seriesId' }
+};
+
+/**
+ * Fetch a server's library and queue, indexed by TMDB/TVDB id and movie/series id
+ */
+async function fetchSnapshot(server, service) {
+  const { path, itemKey, queueKey } = SERVICES[service];
+  const url = server[`${service}_url`];
+  const headers = { 'X-Api-Key': decrypt(server[`${service}_api_key`]) };
+
+  const [libraryResponse, queueResponse] = await Promise.all([
+    axios.get(`${url}/api/v3/${path}`, { headers, timeout: 30000 }),
+    axios.get(`${url}/api/v3/queue`, { headers, params: { pageSize: 1000 }, timeout: 10000 })
+  ]);
+
+  const items = new Map();
+  for (const item of libraryResponse.data || []) {
+    if (item[itemKey]) items.set(item[itemKey], item);
+  }
+
+  const queue = new Map();
+  for (const record of queueResponse.data.records || []) {
+    const id = record[queueKey];
+    if (!queue.has(id)) queue.set(id, []);
+    queue.get(id).push(record);
+  }
+
+  return { items, queue };
+}
+
+/**
+ * Get a server's Radarr or Sonarr snapshot, fetching it when missing or
+ * expired. Returns null when the service isn't configured.
+ */
+async function getArrSnapshot(server, service) {
+  if (!server[`${service}_url`] || !server[`${service}_api_key`]) return null;
+
+  return remember(service, server.id, () => fetchSnapshot(server, service), { serverId: server.id });
+}
+
+/**
+ * Find a movie in Radarr by TMDB id. Returns { movie, queue } or null.
+ */
+async function findRadarrMovie(server, tmdbId) {
+  const snapshot = await getArrSnapshot(server, 'radarr');
+  const movie = snapshot?.items.get(parseInt(tmdbId));
+  return movie ? { movie, queue: snapshot.queue.get(movie.id) || [] } : null;
+}
+
+/**
+ * Find a series in Sonarr by TVDB id. Returns { series, queue } or null.
+ */
+async function findSonarrSeries(server, tvdbId) {
+  const snapshot = await getArrSnapshot(server, 'sonarr');
+  const series = snapshot?.items.get(parseInt(tvdbId));
+  return series ? { series, queue: snapshot.queue.get(series.id) || [] } : null;
+}
+
+/**
+ * Drop a server's snapshot for one service, or for both
+ */
+function invalidateArrSnapshot(serverId, service) {
+  for (const name of service ? [service] : Object.keys(SERVICES)) {
+    clearCache(name, { serverId });
+  }
+}
+
+module.exports = {
+  getArrSnapshot,
+  findRadarrMovie,
+  findSonarrSeries,
+  invalidateArrSnapshot
+};
@@ -0,0 +1,190 @@
+/**
+ * Cache Service
+ * Namespaced in-memory cache with TTLs, a per-namespace size cap (least
+ * recently used entries are evicted first) and hit statistics, shared by all routes.
+ * Caches with their own storage (e.g. the SQLite TMDB cache) register as
+ * namespaces so they show up in the stats and can be cleared the same way.
+ */
+
+const { shareInFlight } = require('./concurrency');
+
+// In-memory cache namespaces and their default TTLs
+const NAMESPACES = {
+  plex: 5 * 60 * 1000, // 5 minutes
+  radarr: 5 * 60 * 1000,
+  sonarr: 5 * 60 * 1000
+};
+
+// Most entries kept per in-memory namespace
+const MAX_ENTRIES = 1000;
+
+const caches = new Map(Object.keys(NAMESPACES).map(name => [name, {
+  entries: new Map(),
+  hits: 0,
+  misses: 0,
+  evictions: 0,
+  // Bumped on every clear, so fetches started before it aren't stored
+  generation: 0
+}]));
+
+// Registered namespaces with their own storage: { getStats(), clear(options) }
+const externalCaches = new Map();
+
+/**
+ * Register a cache namespace with its own storage
+ */
+function registerCacheNamespace(namespace, { getStats, clear }) {
+  externalCaches.set(namespace, { getStats, clear });
+}
+
+/**
+ * Get the names of all cache namespaces
+ */
+function getCacheNamespaces() {
+  return [...caches.keys(), ...externalCaches.keys()];
+}
+
+/**
+ * Get a namespace's cache, throwing for unknown namespaces
+ */
+function getNamespace(namespace) {
+  const cache = caches.get(namespace);
+  if (!cache) {
+    throw new Error(`Unknown cache namespace: ${namespace}`);
+  }
+  return cache;
+}
+
+/**
+ * Get a cached value, or undefined when missing or expired
+ */
+function cacheGet(namespace, key) {
+  const cache = getNamespace(namespace);
+  const entry = cache.entries.get(key);
+
+  if (entry && entry.expiresAt > Date.now()) {
+    cache.hits++;
+    // Re-insert so the Map's order stays least recently used first
+    cache.entries.delete(key);
+    cache.entries.set(key, entry);
+    return entry.value;
+  }
+
+  if (entry) cache.entries.delete(key);
+  cache.misses++;
+  return undefined;
+}
+
+/**
+ * Store a value. serverId tags the entry so it can be cleared per server.
+ * A full namespace drops its expired entries, then its least recently used ones.
+ */
+function cacheSet(namespace, key, value, { ttl = NAMESPACES[namespace], serverId = null } = {}) {
+  const cache = getNamespace(namespace);
+  const now = Date.now();
+  cache.entries.delete(key);
+  cache.entries.set(key, { value, serverId, storedAt: now, expiresAt: now + ttl });
+
+  if (cache.entries.size > MAX_ENTRIES) {
+    for (const [expiredKey, entry] of cache.entries) {
+      if (entry.expiresAt <= now) cache.entries.delete(expiredKey);
+    }
+  }
+  for (const oldestKey of cache.entries.keys()) {
+    if (cache.entries.size <= MAX_ENTRIES) break;
+    cache.entries.delete(oldestKey);
+    cache.evictions++;
+  }
+}
+
+/**
+ * Get a cached value, or fetch and store it. Concurrent misses for the same
+ * key share one fetch.
+ */
+async function remember(namespace, key, fetch, options = {}) {
+  const cached = cacheGet(namespace, key);
+  if (cached !== undefined) return cached;
+
+  const cache = getNamespace(namespace);
+  return shareInFlight(`cache_${namespace}_${key}`, async () => {
+    const generation = cache.generation;
+    const value = await fetch();
+    if (cache.generation === generation) {
+      cacheSet(namespace, key, value, options);
+    }
+    return value;
+  });
+}
+
+/**
+ * Clear a namespace (or all of them when namespace is null), optionally only
+ * the entries of one server or with a key prefix. Returns the number removed.
+ */
+function clearCache(namespace = null, { serverId = null, prefix = null } = {}) {
+  let removed = 0;
+
+  for (const name of namespace ? [namespace] : getCacheNamespaces()) {
+    if (externalCaches.has(name)) {
+      removed += externalCaches.get(name).clear({ serverId, prefix });
+      continue;
+    }
+
+    const cache = getNamespace(name);
+    for (const [key, entry] of cache.entries) {
+      if (serverId && entry.serverId !== serverId) continue;
+      if (prefix && !key.startsWith(prefix)) continue;
+      cache.entries.delete(key);
+      removed++;
+    }
+    cache.generation++;
+  }
+
+  return removed;
+}
+
+/**
+ * Entry counts, hit rates and oldest entry per namespace
+ */
+function getCacheStats() {
+  const now = Date.now();
+
+  const memory = [...caches.entries()].map(([namespace, cache]) => {
+    let oldest = null;
+    let entries = 0;
+    for (const [key, entry] of cache.entries) {
+      if (entry.expiresAt <= now) {
+        cache.entries.delete(key);
+        continue;
+      }
+      entries++;
+      if (oldest === null || entry.storedAt < oldest) oldest = entry.storedAt;
+    }
+
+    const lookups = cache.hits + cache.misses;
+    return {
+      namespace,
+      entries,
+      maxEntries: MAX_ENTRIES,
+      evictions: cache.evictions,
+      hits: cache.hits,
+      misses: cache.misses,
+      hitRate: lookups > 0 ? Math.round((cache.hits / lookups) * 1000) / 1000 : null,
+      oldestEntry: oldest ? new Date(oldest).toISOString() : null,
+      ttlSeconds: NAMESPACES[namespace] / 1000
+    };
+  });
+
+  const external = [...externalCaches.entries()].map(([namespace, cache]) => ({ namespace, ...cache.getStats() }));
+
+  return [...memory, ...external];
+}
+
+module.exports = {
+  registerCacheNamespace,
+  getCacheNamespaces,
+  cacheGet,
+  cacheSet,
+  remember,
+  clearCache,
+  getCacheStats
+};
@@ -0,0 +1,77 @@
+/**
+ * Cache Service tests
+ */
+
+const { cacheGet, cacheSet, remember, clearCache, getCacheStats } = require('./cache');
+
+/**
+ * Stats of one namespace
+ */
+function statsOf(namespace) {
+  return getCacheStats().find(s => s.namespace === namespace);
+}
+
+/**
+ * Fill a namespace up to its cap with entries key-0, key-1, ...
+ */
+function fill(namespace) {
+  const { maxEntries } = statsOf(namespace);
+  for (let i = 0; i < maxEntries; i++) cacheSet(namespace, `key-${i}`, i);
+  return maxEntries;
+}
+
+beforeEach(() => {
+  clearCache('plex');
+});
+
+describe('size cap', () => {
+  test('evicts the least recently used entry', () => {
+    const max = fill('plex');
+    const { evictions } = statsOf('plex');
+
+    // Reading key-0 makes key-1 the least recently used
+    expect(cacheGet('plex', 'key-0')).toBe(0);
+    cacheSet('plex', 'new', 'value');
+
+    expect(cacheGet('plex', 'key-1')).toBeUndefined();
+    expect(cacheGet('plex', 'key-0')).toBe(0);
+    expect(cacheGet('plex', 'new')).toBe('value');
+    expect(statsOf('plex')).toMatchObject({ entries: max, evictions: evictions + 1 });
+  });
+
+  test('drops expired entries before evicting live ones', () => {
+    cacheSet('plex', 'expired', 'old', { ttl: 0 });
+    for (let i = 1; i < statsOf('plex').maxEntries; i++) cacheSet('plex', `key-${i}`, i);
+    const { evictions } = statsOf('plex');
+
+    cacheSet('plex', 'new', 'value');
+
+    expect(cacheGet('plex', 'key-1')).toBe(1);
+    expect(statsOf('plex').evictions).toBe(evictions);
+  });
+});
+
+describe('clearCache', () => {
+  test('clears only the entries of a server or with a key prefix', () => {
+    cacheSet('plex', 'movie_1', 1, { serverId: 'a' });
+    cacheSet('plex', 'tv_1', 2, { serverId: 'a' });
+    cacheSet('plex', 'movie_2', 3, { serverId: 'b' });
+
+    expect(clearCache('plex', { serverId: 'a', prefix: 'movie_' })).toBe(1);
+    expect(cacheGet('plex', 'tv_1')).toBe(2);
+    expect(clearCache('plex', { serverId: 'b' })).toBe(1);
+    expect(cacheGet('plex', 'tv_1')).toBe(2);
+  });
+
+  test('keeps a fetch started before the clear from being stored', async () => {
+    let finish;
+    const pending = remember('plex', 'slow', () => new Promise(resolve => { finish = resolve; }));
+    await new Promise(setImmediate);
+
+    clearCache('plex');
+    finish('stale');
+
+    expect(await pending).toBe('stale');
+    expect(cacheGet('plex', 'slow')).toBeUndefined();
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Concurrency Helpers
+ * Bounded parallelism, deadlines and shared in-flight lookups
+ */
+
+// In-flight calls by key (see shareInFlight)
+const inFlight = new Map();
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once.
+ * limit(fn) resolves with fn's result once a slot is free.
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Resolve with the promise's value, or with `fallback` once `ms` have passed.
+ * The promise keeps running after the deadline.
+ */
+function withDeadline(promise, ms, fallback) {
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => resolve(fallback), Math.max(ms, 0));
+  });
+
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run fn once per key at a time: concurrent callers with the same key share
+ * the in-flight promise instead of starting their own lookup
+ */
+function shareInFlight(key, fn) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
+module.exports = {
+  createLimiter,
+  withDeadline,
+  shareInFlight
+};
@@ -0,0 +1,76 @@
+/**
+ * Concurrency Helpers tests
+ */
+
+const { createLimiter, withDeadline, shareInFlight } = require('./concurrency');
+
+/**
+ * A promise with its resolve function exposed
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createLimiter', () => {
+  test('runs at most the given number of tasks at once, in order', async () => {
+    const limit = createLimiter(2);
+    const tasks = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    const results = tasks.map((task, i) => limit(() => {
+      started.push(i);
+      return task.promise;
+    }));
+    await flush();
+    expect(started).toEqual([0, 1]);
+
+    tasks[1].resolve('b');
+    await flush();
+    expect(started).toEqual([0, 1, 2]);
+
+    tasks[0].resolve('a');
+    tasks[2].resolve('c');
+    expect(await Promise.all(results)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('frees the slot of a failed task', async () => {
+    const limit = createLimiter(1);
+
+    await expect(limit(() => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(await limit(() => 'next')).toBe('next');
+  });
+});
+
+describe('withDeadline', () => {
+  test('resolves with the fallback once the deadline passes', async () => {
+    const slow = deferred();
+
+    expect(await withDeadline(slow.promise, 10, 'pending')).toBe('pending');
+    expect(await withDeadline(Promise.resolve('done'), 1000, 'pending')).toBe('done');
+  });
+});
+
+describe('shareInFlight', () => {
+  test('shares a lookup between concurrent callers with the same key', async () => {
+    const lookup = deferred();
+    const fn = jest.fn(() => lookup.promise);
+
+    const first = shareInFlight('tv_1399', fn);
+    const second = shareInFlight('tv_1399', fn);
+    lookup.resolve('result');
+
+    expect(await Promise.all([first, second])).toEqual(['result', 'result']);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    // Finished lookups aren't kept
+    await shareInFlight('tv_1399', fn);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * ID Mapping Service
+ * Resolves TMDB ids to the TVDB/IMDb ids used by Sonarr and Plex
+ */
+
+const db = require('../database');
+const { tmdbGet } = require('./tmdb');
+
+/**
+ * Get the stored external ids for a TMDB item
+ */
+function getStoredIds(tmdbId, contentType) {
+  return db.prepare(`
+    SELECT *, updated_at > datetime('now', '-1 day') AS fresh
+    FROM external_ids
+    WHERE tmdb_id = ? AND content_type = ?
+  `).get(tmdbId, contentType);
+}
+
+/**
+ * Persist external ids returned by TMDB
+ */
+function storeExternalIds(tmdbId, contentType, externalIds) {
+  db.prepare(`
+    INSERT OR REPLACE INTO external_ids (tmdb_id, content_type, tvdb_id, imdb_id, updated_at)
+    VALUES (?, ?, ?, ?, datetime('now'))
+  `).run(
+    tmdbId,
+    contentType,
+    externalIds?.tvdb_id || null,
+    externalIds?.imdb_id || null
+  );
+}
+
+/**
+ * Resolve the external ids for a TMDB movie or series.
+ * Mappings are stored permanently; lookups that returned nothing are retried daily.
+ */
+async function resolveExternalIds(tmdbId, contentType) {
+  tmdbId = parseInt(tmdbId);
+  const stored = getStoredIds(tmdbId, contentType);
+
+  if (stored && (stored.tvdb_id || stored.imdb_id || stored.fresh)) {
+    return { tvdbId: stored.tvdb_id, imdbId: stored.imdb_id };
+  }
+
+  try {
+    const externalIds = await tmdbGet(`/${contentType}/${tmdbId}/external_ids`);
+    storeExternalIds(tmdbId, contentType, externalIds);
+    return {
+      tvdbId: externalIds.tvdb_id || null,
+      imdbId: externalIds.imdb_id || null
+    };
+  } catch (error) {
+    console.error(`External id lookup error (${contentType} ${tmdbId}):`, error.message);
+    return {
+      tvdbId: stored?.tvdb_id || null,
+      imdbId: stored?.imdb_id || null
+    };
+  }
+}
+
+/**
+ * Resolve the TVDB id for a TMDB series
+ */
+async function getTvdbId(tmdbId) {
+  const { tvdbId } = await resolveExternalIds(tmdbId, 'tv');
+  return tvdbId;
+}
+
+/**
+ * Find the TMDB id for a stored TVDB or IMDb id
+ */
+function findTmdbId(contentType, { tvdbId, imdbId }) {
+  let row = null;
+  if (tvdbId) {
+    row = db.prepare('SELECT tmdb_id FROM external_ids WHERE content_type = ? AND tvdb_id = ?')
+      .get(contentType, tvdbId);
+  }
+  if (!row && imdbId) {
+    row = db.prepare('SELECT tmdb_id FROM external_ids WHERE content_type = ? AND imdb_id = ?')
+      .get(contentType, imdbId);
+  }
+  return row?.tmdb_id || null;
+}
+
+module.exports = {
+  resolveExternalIds,
+  storeExternalIds,
+  getTvdbId,
+  findTmdbId
+};
@@ -0,0 +1,54 @@
+/**
+ * ID Mapping Service tests
+ */
+
+jest.mock('./tmdb', () => ({ tmdbGet: jest.fn() }));
+
+const db = require('../database');
+const { tmdbGet } = require('./tmdb');
+const { resolveExternalIds, getTvdbId, findTmdbId } = require('./idMapping');
+
+beforeEach(() => {
+  db.prepare('DELETE FROM external_ids').run();
+  tmdbGet.mockReset();
+});
+
+describe('resolveExternalIds', () => {
+  test('looks up the TVDB id once and stores it', async () => {
+    tmdbGet.mockResolvedValue({ tvdb_id: 121361, imdb_id: 'tt0944947' });
+
+    expect(await getTvdbId(1399)).toBe(121361);
+    expect(await resolveExternalIds('1399', 'tv')).toEqual({ tvdbId: 121361, imdbId: 'tt0944947' });
+    expect(tmdbGet).toHaveBeenCalledTimes(1);
+    expect(tmdbGet).toHaveBeenCalledWith('/tv/1399/external_ids');
+  });
+
+  test('retries a lookup that found nothing once it is a day old', async () => {
+    tmdbGet.mockResolvedValue({});
+    expect(await getTvdbId(1399)).toBeNull();
+    expect(await getTvdbId(1399)).toBeNull();
+    expect(tmdbGet).toHaveBeenCalledTimes(1);
+
+    db.prepare("UPDATE external_ids SET updated_at = datetime('now', '-2 days')").run();
+    tmdbGet.mockResolvedValue({ tvdb_id: 121361 });
+    expect(await getTvdbId(1399)).toBe(121361);
+  });
+
+  test('falls back to nothing when TMDB is unavailable', async () => {
+    tmdbGet.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+    expect(await resolveExternalIds(1399, 'tv')).toEqual({ tvdbId: null, imdbId: null });
+  });
+});
+
+describe('findTmdbId', () => {
+  test('maps stored TVDB and IMDb ids back to the TMDB id', async () => {
+    tmdbGet.mockResolvedValue({ tvdb_id: 121361, imdb_id: 'tt0944947' });
+    await getTvdbId(1399);
+
+    expect(findTmdbId('tv', { tvdbId: 121361 })).toBe(1399);
+    expect(findTmdbId('tv', { tvdbId: 1, imdbId: 'tt0944947' })).toBe(1399);
+    expect(findTmdbId('movie', { tvdbId: 121361 })).toBeNull();
+  });
+});
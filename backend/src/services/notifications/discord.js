@@ -0,0 +1,59 @@
+/**
+ * Discord/Slack Notification Channel
+ * Posts notifications to a chat webhook
+ *
+ * Settings: notify_discord_enabled, discord_webhook_url (encrypted).
+ * Slack incoming webhook URLs are detected and sent in Slack's format.
+ */
+
+const axios = require('axios');
+const { getSetting, getBooleanSetting } = require('../settings');
+
+// Embed colors per event
+const COLORS = {
+  request_pending: 0xf5a623,
+  request_approved: 0x2ecc71,
+  request_rejected: 0xe74c3c,
+  request_downloaded: 0x3498db,
+  request_available: 0x9b59b6,
+  request_new_season: 0x3498db,
+  request_comment: 0x95a5a6,
+  request_comment_admin: 0x95a5a6,
+  watchlist_released: 0x1abc9c,
+  watchlist_new_season: 0x1abc9c
+};
+
+/**
+ * Check whether the chat webhook is enabled and configured
+ */
+function isEnabled() {
+  return getBooleanSetting('notify_discord_enabled') && !!getSetting('discord_webhook_url');
+}
+
+/**
+ * Post the message to the chat webhook
+ */
+async function send(message) {
+  const url = getSetting('discord_webhook_url');
+
+  const payload = url.includes('hooks.slack.com')
+    ? { text: `*${message.title}*\n${message.body}` }
+    : {
+      username: 'BigFlix',
+      embeds: [{
+        title: message.title,
+        description: message.body,
+        color: COLORS[message.event] || 0x95a5a6,
+        ...(message.imageUrl && { thumbnail: { url: message.imageUrl } }),
+        timestamp: new Date().toISOString()
+      }]
+    };
+
+  await axios.post(url, payload, { timeout: 10000 });
+}
+
+module.exports = {
+  name: 'discord',
+  isEnabled,
+  send
+};
@@ -0,0 +1,57 @@
+/**
+ * Email Notification Channel
+ * Sends notifications to users over SMTP
+ *
+ * Settings: notify_email_enabled, smtp_host, smtp_port, smtp_secure,
+ * smtp_user, smtp_password (encrypted), smtp_from
+ */
+
+const nodemailer = require('nodemailer');
+const { getSetting, getBooleanSetting, getNumberSetting } = require('../settings');
+
+/**
+ * Check whether SMTP is enabled and configured
+ */
+function isEnabled() {
+  return getBooleanSetting('notify_email_enabled') && !!getSetting('smtp_host');
+}
+
+/**
+ * Create an SMTP transport from the current settings
+ */
+function createTransport() {
+  const user = getSetting('smtp_user');
+  return nodemailer.createTransport({
+    host: getSetting('smtp_host'),
+    port: getNumberSetting('smtp_port', 587),
+    secure: getBooleanSetting('smtp_secure'),
+    auth: user ? { user, pass: getSetting('smtp_password') } : undefined
+  });
+}
+
+/**
+ * Email the message to each recipient with an address
+ */
+async function send(message, recipients) {
+  const addresses = recipients.map(u => u.email).filter(Boolean);
+  if (addresses.length === 0) return;
+
+  const transport = createTransport();
+  const from = getSetting('smtp_from') || getSetting('smtp_user');
+
+  // Send individually so recipients don't see each other's addresses
+  for (const to of addresses) {
+    await transport.sendMail({
+      from,
+      to,
+      subject: message.title,
+      text: message.body
+    });
+  }
+}
+
+module.exports = {
+  name: 'email',
+  isEnabled,
+  send
+};
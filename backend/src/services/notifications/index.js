@@ -0,0 +1,257 @@
+/**
+ * Notification Service
+ * Delivers request lifecycle events through the enabled channels
+ */
+
+const db = require('../../database');
+const email = require('./email');
+const discord = require('./discord');
+const webhook = require('./webhook');
+
+// Available channel drivers
+const CHANNELS = { email, discord, webhook };
+
+// Message templates per event. Admin events go to every admin instead of the requester.
+const EVENTS = {
+  request_pending: {
+    adminOnly: true,
+    title: r => `New request: ${r.displayTitle}`,
+    body: r => `${r.requestedBy} requested ${r.displayTitle} on ${r.serverName || 'Plex'}.`
+  },
+  request_approved: {
+    title: r => `Request approved: ${r.displayTitle}`,
+    body: r => `Your request for ${r.displayTitle} was approved and will start downloading soon.`
+  },
+  request_rejected: {
+    title: r => `Request rejected: ${r.displayTitle}`,
+    body: r => `Your request for ${r.displayTitle} was rejected.`
+  },
+  request_downloaded: {
+    title: r => `Downloaded: ${r.displayTitle}`,
+    body: r => `${r.displayTitle} has been downloaded and will be on ${r.serverName || 'Plex'} shortly.`
+  },
+  request_available: {
+    title: r => `Now available: ${r.displayTitle}`,
+    body: r => `${r.displayTitle} is now available on ${r.serverName || 'Plex'}.`
+  },
+  request_comment: {
+    title: r => `New comment: ${r.displayTitle}`,
+    body: r => `${r.commentBy} commented on your request for ${r.displayTitle}:\n\n${r.comment}`
+  },
+  request_comment_admin: {
+    adminOnly: true,
+    title: r => `New comment: ${r.displayTitle}`,
+    body: r => `${r.commentBy} commented on their request for ${r.displayTitle}:\n\n${r.comment}`
+  },
+  request_new_season: {
+    title: r => `New season: ${r.displayTitle}`,
+    body: r => r.followed
+      ? `${r.displayTitle} has a new season (${r.seasonList}), which was added to your request.`
+      : `${r.displayTitle} has a new season (${r.seasonList}), which has been requested for you${r.status === 'pending' ? ' and is waiting for approval' : ''}.`
+  },
+  watchlist_released: {
+    title: r => `Released: ${r.displayTitle}`,
+    body: r => `${r.displayTitle} from your watchlist has been released.${r.requested ? ' It has been requested for you.' : ''}`
+  },
+  watchlist_new_season: {
+    title: r => `New season: ${r.displayTitle}`,
+    body: r => `${r.displayTitle} from your watchlist has a new season (${r.seasonList}).${r.requested ? ' It has been requested for you.' : ''}`
+  },
+  test: {
+    title: () => 'BigFlix test notification',
+    body: () => 'If you can read this, notifications are working.'
+  }
+};
+
+/**
+ * Load the request details used in messages
+ */
+function loadRequest(request) {
+  const row = db.prepare(`
+    SELECT u.username, s.name as server_name
+    FROM users u
+    LEFT JOIN plex_servers s ON s.id = ?
+    WHERE u.id = ?
+  `).get(request.server_id, request.user_id) || {};
+
+  return {
+    id: request.id,
+    tmdbId: request.tmdb_id,
+    contentType: request.content_type,
+    title: request.title,
+    year: request.year,
+    posterPath: request.poster_path,
+    status: request.status,
+    notes: request.notes,
+    requestedBy: row.username,
+    serverName: row.server_name,
+    displayTitle: request.year ? `${request.title} (${request.year})` : request.title
+  };
+}
+
+/**
+ * Build the message for an event
+ */
+function buildMessage(event, details) {
+  const template = EVENTS[event];
+  let body = template.body(details);
+  if (details.notes && ['request_approved', 'request_rejected'].includes(event)) {
+    body += `\n\nNote: ${details.notes}`;
+  }
+
+  return {
+    event,
+    title: template.title(details),
+    body,
+    imageUrl: details.posterPath ? `https://image.tmdb.org/t/p/w200${details.posterPath}` : null,
+    request: details.id ? {
+      id: details.id,
+      tmdbId: details.tmdbId,
+      contentType: details.contentType,
+      title: details.title,
+      year: details.year,
+      status: details.status,
+      requestedBy: details.requestedBy,
+      serverName: details.serverName
+    } : null
+  };
+}
+
+/**
+ * Events a user can receive, based on their role
+ */
+function getUserEvents(role) {
+  return Object.keys(EVENTS).filter(e => e !== 'test' && (role === 'admin' || !EVENTS[e].adminOnly));
+}
+
+/**
+ * Get a user's notification preferences. Everything is enabled unless opted out.
+ */
+function getUserPreferences(userId, role) {
+  const rows = db.prepare('SELECT event, channel, enabled FROM user_notification_settings WHERE user_id = ?')
+    .all(userId);
+
+  const preferences = {};
+  for (const event of getUserEvents(role)) {
+    preferences[event] = {};
+    for (const channel of Object.keys(CHANNELS)) {
+      const row = rows.find(r => r.event === event && r.channel === channel);
+      preferences[event][channel] = row ? row.enabled === 1 : true;
+    }
+  }
+  return preferences;
+}
+
+/**
+ * Update a user's notification preferences ({ event: { channel: enabled } })
+ */
+function setUserPreferences(userId, role, preferences) {
+  const events = getUserEvents(role);
+  const upsert = db.prepare(`
+    INSERT OR REPLACE INTO user_notification_settings (user_id, event, channel, enabled, updated_at)
+    VALUES (?, ?, ?, ?, datetime('now'))
+  `);
+
+  const transaction = db.transaction(() => {
+    for (const [event, channels] of Object.entries(preferences || {})) {
+      if (!events.includes(event)) continue;
+      for (const [channel, enabled] of Object.entries(channels || {})) {
+        if (!CHANNELS[channel]) continue;
+        upsert.run(userId, event, channel, enabled ? 1 : 0);
+      }
+    }
+  });
+
+  transaction();
+}
+
+/**
+ * Check whether a user wants an event on a channel
+ */
+function wantsNotification(userId, event, channel) {
+  const row = db.prepare(`
+    SELECT enabled FROM user_notification_settings
+    WHERE user_id = ? AND event = ? AND channel = ?
+  `).get(userId, event, channel);
+  return row ? row.enabled === 1 : true;
+}
+
+/**
+ * Get the users an event is about: the requester, or every admin for admin events
+ */
+function getRecipients(event, request) {
+  if (EVENTS[event].adminOnly) {
+    return db.prepare("SELECT id, username, email FROM users WHERE role = 'admin'").all();
+  }
+  return db.prepare('SELECT id, username, email FROM users WHERE id = ?').all(request.user_id);
+}
+
+/**
+ * Notify about a request event. Never throws, so callers don't need to await it.
+ *
+ * Email goes to each recipient who wants it; shared channels (Discord, webhook)
+ * post once if any recipient wants the event there.
+ */
+async function notify(event, request, overrides = {}) {
+  try {
+    const details = { ...loadRequest(request), ...overrides };
+    const message = buildMessage(event, details);
+    const recipients = getRecipients(event, request);
+
+    await Promise.all(Object.values(CHANNELS).filter(c => c.isEnabled()).map(async channel => {
+      const wanted = recipients.filter(u => wantsNotification(u.id, event, channel.name));
+      if (wanted.length === 0) return;
+
+      try {
+        await channel.send(message, wanted);
+      } catch (error) {
+        console.error(`[Notifications] ${channel.name} failed for ${event}:`, error.message);
+      }
+    }));
+  } catch (error) {
+    console.error(`[Notifications] ${event} failed:`, error.message);
+  }
+}
+
+/**
+ * Send a test notification. Unlike notify(), delivery errors are returned to the caller.
+ */
+async function sendTestNotification(user, channelName) {
+  const names = channelName ? [channelName] : Object.keys(CHANNELS);
+  const message = buildMessage('test', {});
+  const results = {};
+
+  for (const name of names) {
+    const channel = CHANNELS[name];
+    if (!channel) {
+      results[name] = { success: false, error: 'Unknown channel' };
+      continue;
+    }
+    if (!channel.isEnabled()) {
+      results[name] = { success: false, enabled: false, error: 'Channel not enabled' };
+      continue;
+    }
+    if (name === 'email' && !user.email) {
+      results[name] = { success: false, enabled: true, error: 'Your account has no email address' };
+      continue;
+    }
+
+    try {
+      await channel.send(message, [user]);
+      results[name] = { success: true, enabled: true };
+    } catch (error) {
+      results[name] = { success: false, enabled: true, error: error.message };
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  CHANNELS,
+  EVENTS,
+  notify,
+  sendTestNotification,
+  getUserPreferences,
+  setUserPreferences
+};
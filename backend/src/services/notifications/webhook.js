@@ -0,0 +1,41 @@
+/**
+ * Generic Webhook Notification Channel
+ * Posts notifications as JSON to a configured URL
+ *
+ * Settings: notify_webhook_enabled, webhook_url, webhook_authorization (encrypted,
+ * sent as the Authorization header)
+ */
+
+const axios = require('axios');
+const { getSetting, getBooleanSetting } = require('../settings');
+
+/**
+ * Check whether the webhook is enabled and configured
+ */
+function isEnabled() {
+  return getBooleanSetting('notify_webhook_enabled') && !!getSetting('webhook_url');
+}
+
+/**
+ * Post the message as JSON
+ */
+async function send(message) {
+  const authorization = getSetting('webhook_authorization');
+
+  await axios.post(getSetting('webhook_url'), {
+    event: message.event,
+    title: message.title,
+    body: message.body,
+    request: message.request,
+    timestamp: new Date().toISOString()
+  }, {
+    headers: authorization ? { 'Authorization': authorization } : {},
+    timeout: 10000
+  });
+}
+
+module.exports = {
+  name: 'webhook',
+  isEnabled,
+  send
+};
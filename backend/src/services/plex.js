@@ -0,0 +1,162 @@
+/**
+ * Plex Service
+ * Library lookups against a Plex server
+ */
+
+const axios = require('axios');
+const { decrypt } = require('../database');
+
+// Plex library section types and item types per content type
+const PLEX_TYPES = {
+  movie: { section: 'movie', itemType: 1 },
+  tv: { section: 'show', itemType: 2 }
+};
+
+/**
+ * Perform a GET request against a Plex server
+ */
+async function plexGet(server, path, params = {}, timeout = 10000) {
+  const response = await axios.get(`${server.url}${path}`, {
+    headers: {
+      'X-Plex-Token': decrypt(server.token),
+      'Accept': 'application/json'
+    },
+    params,
+    timeout
+  });
+
+  return response.data.MediaContainer;
+}
+
+/**
+ * Get a server's library sections, optionally only those of one type ("movie" or "show")
+ */
+async function getLibrarySections(server, type) {
+  const container = await plexGet(server, '/library/sections');
+  return (container.Directory || []).filter(d => !type || d.type === type);
+}
+
+/**
+ * Parse the external ids from Plex Guid entries (e.g. "tmdb://603")
+ */
+function parsePlexGuids(guids) {
+  const ids = {};
+  for (const guid of guids || []) {
+    const [scheme, value] = (guid.id || '').split('://');
+    if (scheme === 'tmdb') ids.tmdbId = parseInt(value);
+    if (scheme === 'tvdb') ids.tvdbId = parseInt(value);
+    if (scheme === 'imdb') ids.imdbId = value;
+  }
+  return ids;
+}
+
+/**
+ * Normalize a title for comparison: no accents, case, punctuation or leading article
+ * ("Amélie" and "Amelie", "The Office" and "Office" compare equal)
+ */
+function normalizeTitle(title) {
+  return (title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^(the|a|an) /, '');
+}
+
+/**
+ * Compare a Plex title with the wanted title. Returns "title" for the same
+ * normalized title, "fuzzy_title" when one extends the other (e.g. "Star Wars"
+ * and "Star Wars: Episode IV - A New Hope"), or null.
+ */
+function compareTitles(plexTitle, wanted) {
+  const a = normalizeTitle(plexTitle);
+  const b = normalizeTitle(wanted);
+  if (!a || !b) return null;
+  if (a === b) return 'title';
+  if (a.startsWith(`${b} `) || b.startsWith(`${a} `)) return 'fuzzy_title';
+  return null;
+}
+
+/**
+ * Pick the Plex item matching a title. External ids win; otherwise the title
+ * must match with a release year at most one year off (exact titles without a
+ * year also match). Items whose ids point to a different title are skipped.
+ *
+ * getIds returns an item's { tmdbId, tvdbId, imdbId }. Returns { item, matchedBy }
+ * where matchedBy is tmdb, tvdb, imdb, title or fuzzy_title, or null.
+ */
+function matchPlexItem(items, { tmdbId, tvdbId, imdbId, title, year }, getIds = item => parsePlexGuids(item.Guid)) {
+  const wanted = { tmdbId: tmdbId && parseInt(tmdbId), tvdbId, imdbId };
+  const candidates = items.map(item => ({ item, ids: getIds(item) }));
+
+  for (const key of ['tmdbId', 'tvdbId', 'imdbId']) {
+    if (!wanted[key]) continue;
+    const match = candidates.find(c => c.ids[key] === wanted[key]);
+    if (match) return { item: match.item, matchedBy: key.replace('Id', '') };
+  }
+
+  const wantedYear = year ? parseInt(year) : null;
+  let best = null;
+
+  for (const { item, ids } of candidates) {
+    // Known to be something else
+    if (['tmdbId', 'tvdbId', 'imdbId'].some(key => wanted[key] && ids[key] && ids[key] !== wanted[key])) continue;
+
+    const method = [item.title, item.originalTitle]
+      .map(t => compareTitles(t, title))
+      .reduce((a, b) => (a === 'title' || b === 'title' ? 'title' : a || b), null);
+    if (!method) continue;
+
+    const yearDiff = wantedYear && item.year ? Math.abs(item.year - wantedYear) : null;
+    if (yearDiff !== null && yearDiff > 1) continue;
+    if (method === 'fuzzy_title' && yearDiff === null) continue;
+
+    // Prefer exact titles, then the closest year
+    const score = (method === 'title' ? 0 : 10) + (yearDiff ?? 0);
+    if (!best || score < best.score) best = { item, matchedBy: method, score };
+  }
+
+  return best && { item: best.item, matchedBy: best.matchedBy };
+}
+
+/**
+ * Find a movie or show in a server's Plex libraries.
+ * Returns { item, matchedBy } (see matchPlexItem) or null.
+ */
+async function findPlexItem(server, contentType, criteria) {
+  const { section, itemType } = PLEX_TYPES[contentType];
+
+  // Get all library sections of the matching type
+  const sections = await getLibrarySections(server, section);
+
+  // Plex filters by substring, so search for the main title ("Star Wars" for "Star Wars: Episode IV")
+  const searchTitle = criteria.title.split(/:| - /)[0].trim();
+
+  // Search each library
+  for (const { key } of sections) {
+    const container = await plexGet(server, `/library/sections/${key}/all`, {
+      type: itemType,
+      title: searchTitle,
+      includeGuids: 1
+    });
+
+    const match = matchPlexItem(container.Metadata || [], criteria);
+    if (match) {
+      return match;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  PLEX_TYPES,
+  plexGet,
+  getLibrarySections,
+  parsePlexGuids,
+  normalizeTitle,
+  matchPlexItem,
+  findPlexItem
+};
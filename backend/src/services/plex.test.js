@@ -0,0 +1,55 @@
+/**
+ * Plex Service tests
+ */
+
+const { matchPlexItem, normalizeTitle, parsePlexGuids } = require('./plex');
+
+describe('matchPlexItem', () => {
+  const matrix = { title: 'The Matrix', year: 1999, Guid: [{ id: 'tmdb://603' }, { id: 'imdb://tt0133093' }] };
+  const reloaded = { title: 'The Matrix Reloaded', year: 2003, Guid: [{ id: 'tmdb://604' }] };
+
+  test('matches by external id before the title', () => {
+    const renamed = { title: 'Matrix (Director\'s Cut)', year: 1999, Guid: [{ id: 'tmdb://603' }] };
+
+    expect(matchPlexItem([reloaded, renamed], { tmdbId: '603', title: 'The Matrix', year: 1999 }))
+      .toEqual({ item: renamed, matchedBy: 'tmdb' });
+    expect(matchPlexItem([matrix], { tmdbId: 1, imdbId: 'tt0133093', title: 'x' }))
+      .toEqual({ item: matrix, matchedBy: 'imdb' });
+  });
+
+  test('falls back to the normalized title within a year', () => {
+    const amelie = { title: 'Amélie', year: 2001, Guid: [] };
+
+    expect(matchPlexItem([amelie], { title: 'amelie', year: 2002 })).toEqual({ item: amelie, matchedBy: 'title' });
+    expect(matchPlexItem([amelie], { title: 'Amelie', year: 2004 })).toBeNull();
+  });
+
+  test('skips items whose ids point to another title', () => {
+    const remake = { title: 'The Office', year: 2005, Guid: [{ id: 'tvdb://73244' }] };
+
+    expect(matchPlexItem([remake], { tvdbId: 78107, title: 'The Office', year: 2005 })).toBeNull();
+  });
+
+  test('only matches extended titles with a close year, preferring exact titles', () => {
+    const episode = { title: 'Star Wars: Episode IV - A New Hope', year: 1977, Guid: [] };
+    const exact = { title: 'Star Wars', year: 1978, Guid: [] };
+
+    expect(matchPlexItem([episode], { title: 'Star Wars', year: 1977 })).toEqual({ item: episode, matchedBy: 'fuzzy_title' });
+    expect(matchPlexItem([episode], { title: 'Star Wars' })).toBeNull();
+    expect(matchPlexItem([episode, exact], { title: 'Star Wars', year: 1977 })).toEqual({ item: exact, matchedBy: 'title' });
+  });
+});
+
+describe('normalizeTitle', () => {
+  test('ignores accents, case, punctuation and a leading article', () => {
+    expect(normalizeTitle('The Lord of the Rings: The Return of the King')).toBe('lord of the rings the return of the king');
+    expect(normalizeTitle('Fast & Furious')).toBe(normalizeTitle('fast and furious'));
+  });
+});
+
+describe('parsePlexGuids', () => {
+  test('reads TMDB, TVDB and IMDb ids', () => {
+    expect(parsePlexGuids([{ id: 'tmdb://1399' }, { id: 'tvdb://121361' }, { id: 'imdb://tt0944947' }, { id: 'plex://show/1' }]))
+      .toEqual({ tmdbId: 1399, tvdbId: 121361, imdbId: 'tt0944947' });
+  });
+});
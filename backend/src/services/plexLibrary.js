@@ -0,0 +1,287 @@
+/**
+ * Plex Library Index
+ * Local copy of each server's Plex libraries, so availability checks are
+ * SQLite lookups instead of live Plex queries
+ *
+ * A full sync replaces a server's index. A refresh only fetches items Plex
+ * reports as updated since the last sync, so removed items stay in the index
+ * until the next full sync.
+ */
+
+const db = require('../database');
+const { plexGet, getLibrarySections, parsePlexGuids, normalizeTitle, matchPlexItem, findPlexItem } = require('./plex');
+
+// Items fetched per Plex request
+const PAGE_SIZE = 500;
+
+// Plex metadata item types
+const ITEM_TYPES = { movie: 1, show: 2, season: 3, episode: 4 };
+
+// Refreshes overlap the previous one slightly so nothing updated mid-sync is missed
+const REFRESH_OVERLAP = 5 * 60; // seconds
+
+// In-flight syncs per server, so a webhook refresh doesn't race the scheduled job
+const inFlight = new Map();
+
+/**
+ * Fetch every item of a type from a library section, a page at a time.
+ * With `since` (unix seconds), only items updated after it are returned.
+ */
+async function fetchSectionItems(server, sectionKey, type, since) {
+  const items = [];
+
+  for (let start = 0; ; start += PAGE_SIZE) {
+    const params = {
+      type,
+      includeGuids: type <= ITEM_TYPES.show ? 1 : undefined,
+      'X-Plex-Container-Start': start,
+      'X-Plex-Container-Size': PAGE_SIZE
+    };
+    if (since) params['updatedAt>>'] = since;
+
+    const container = await plexGet(server, `/library/sections/${sectionKey}/all`, params, 60000);
+
+    const page = container.Metadata || [];
+    items.push(...page);
+
+    const total = container.totalSize ?? container.size;
+    if (page.length < PAGE_SIZE || (total !== undefined && items.length >= total)) {
+      return items;
+    }
+  }
+}
+
+/**
+ * Fetch a server's libraries (or the changes since a timestamp)
+ */
+async function fetchLibrary(server, since) {
+  const library = { items: [], seasons: [], episodes: [] };
+  const sections = await getLibrarySections(server);
+
+  for (const section of sections) {
+    if (section.type === 'movie') {
+      const movies = await fetchSectionItems(server, section.key, ITEM_TYPES.movie, since);
+      library.items.push(...movies.map(m => ({ ...m, sectionKey: section.key, indexType: 'movie' })));
+    } else if (section.type === 'show') {
+      const shows = await fetchSectionItems(server, section.key, ITEM_TYPES.show, since);
+      library.items.push(...shows.map(s => ({ ...s, sectionKey: section.key, indexType: 'show' })));
+      library.seasons.push(...await fetchSectionItems(server, section.key, ITEM_TYPES.season, since));
+      library.episodes.push(...await fetchSectionItems(server, section.key, ITEM_TYPES.episode, since));
+    }
+  }
+
+  return library;
+}
+
+/**
+ * Write fetched items to the index. A full sync replaces the server's index.
+ */
+function storeLibrary(serverId, library, full) {
+  const insertItem = db.prepare(`
+    INSERT OR REPLACE INTO plex_library_items (
+      server_id, rating_key, section_id, type, title, normalized_title, original_title, year,
+      tmdb_id, tvdb_id, imdb_id, season_count, episode_count, added_at, updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime(?, 'unixepoch'), datetime(?, 'unixepoch'))
+  `);
+  const insertSeason = db.prepare(`
+    INSERT OR REPLACE INTO plex_library_seasons (server_id, rating_key, show_rating_key, season_number, episode_count)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  const insertEpisode = db.prepare(`
+    INSERT OR REPLACE INTO plex_library_episodes (server_id, rating_key, show_rating_key, season_number, episode_number, title)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const transaction = db.transaction(() => {
+    if (full) {
+      for (const table of ['plex_library_items', 'plex_library_seasons', 'plex_library_episodes']) {
+        db.prepare(`DELETE FROM ${table} WHERE server_id = ?`).run(serverId);
+      }
+    }
+
+    for (const item of library.items) {
+      const ids = parsePlexGuids(item.Guid);
+      insertItem.run(
+        serverId,
+        String(item.ratingKey),
+        String(item.sectionKey),
+        item.indexType,
+        item.title,
+        normalizeTitle(item.title),
+        item.originalTitle || null,
+        item.year || null,
+        ids.tmdbId || null,
+        ids.tvdbId || null,
+        ids.imdbId || null,
+        item.childCount ?? null,
+        item.leafCount ?? null,
+        item.addedAt || null,
+        item.updatedAt || null
+      );
+    }
+
+    for (const season of library.seasons) {
+      insertSeason.run(serverId, String(season.ratingKey), String(season.parentRatingKey), season.index ?? 0, season.leafCount ?? null);
+    }
+
+    for (const episode of library.episodes) {
+      insertEpisode.run(
+        serverId,
+        String(episode.ratingKey),
+        String(episode.grandparentRatingKey),
+        episode.parentIndex ?? 0,
+        episode.index ?? null,
+        episode.title || null
+      );
+    }
+
+    const itemCount = db.prepare('SELECT COUNT(*) as count FROM plex_library_items WHERE server_id = ?').get(serverId).count;
+    db.prepare(`
+      INSERT INTO plex_library_sync (server_id, last_full_sync, last_refresh, item_count, last_error)
+      VALUES (?, CASE WHEN ? THEN datetime('now') END, datetime('now'), ?, NULL)
+      ON CONFLICT(server_id) DO UPDATE SET
+        last_full_sync = COALESCE(excluded.last_full_sync, last_full_sync),
+        last_refresh = excluded.last_refresh,
+        item_count = excluded.item_count,
+        last_error = NULL
+    `).run(serverId, full ? 1 : 0, itemCount);
+  });
+
+  transaction();
+}
+
+/**
+ * Sync one server's library index. Refreshes fall back to a full sync until
+ * the server has been fully synced once.
+ */
+function syncServerLibrary(server, { full = false } = {}) {
+  if (inFlight.has(server.id)) return inFlight.get(server.id);
+
+  const sync = (async () => {
+    const state = db.prepare('SELECT * FROM plex_library_sync WHERE server_id = ?').get(server.id);
+    const isFull = full || !state?.last_full_sync;
+    const since = isFull ? null :
+      Math.floor(Date.parse(`${state.last_refresh || state.last_full_sync}Z`) / 1000) - REFRESH_OVERLAP;
+
+    try {
+      const library = await fetchLibrary(server, since);
+      storeLibrary(server.id, library, isFull);
+      return {
+        full: isFull,
+        items: library.items.length,
+        seasons: library.seasons.length,
+        episodes: library.episodes.length
+      };
+    } catch (error) {
+      db.prepare(`
+        INSERT INTO plex_library_sync (server_id, last_error) VALUES (?, ?)
+        ON CONFLICT(server_id) DO UPDATE SET last_error = excluded.last_error
+      `).run(server.id, error.message);
+      throw error;
+    }
+  })();
+
+  inFlight.set(server.id, sync);
+  sync.finally(() => inFlight.delete(server.id)).catch(() => {});
+  return sync;
+}
+
+/**
+ * Sync every server's library index
+ */
+async function syncAllLibraries({ full = false } = {}) {
+  const summary = { servers: 0, items: 0, errors: 0 };
+  const servers = db.prepare('SELECT * FROM plex_servers').all();
+
+  for (const server of servers) {
+    try {
+      const result = await syncServerLibrary(server, { full });
+      summary.servers++;
+      summary.items += result.items;
+    } catch (error) {
+      summary.errors++;
+      console.error(`[Plex Library] Sync failed for ${server.name}:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Refresh a server's index in the background (e.g. after a Plex webhook)
+ */
+function refreshServerLibrary(serverId) {
+  const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(serverId);
+  if (!server) return;
+
+  syncServerLibrary(server).catch(error => {
+    console.error(`[Plex Library] Refresh failed for ${server.name}:`, error.message);
+  });
+}
+
+/**
+ * Check whether a server's library has been indexed
+ */
+function isLibraryIndexed(serverId) {
+  const state = db.prepare('SELECT last_full_sync FROM plex_library_sync WHERE server_id = ?').get(serverId);
+  return Boolean(state?.last_full_sync);
+}
+
+/**
+ * Find a movie or show in a server's index by external id, then by title.
+ * Returns { item, matchedBy } (see matchPlexItem) or null.
+ */
+function findIndexedItem(serverId, contentType, { tmdbId, tvdbId, imdbId, title, year }) {
+  const type = contentType === 'movie' ? 'movie' : 'show';
+  const normalized = normalizeTitle(title) || null;
+
+  // Candidates: same ids, same normalized title, or one title extending the other
+  const candidates = db.prepare(`
+    SELECT * FROM plex_library_items
+    WHERE server_id = ? AND type = ? AND (
+      tmdb_id = ? OR tvdb_id = ? OR imdb_id = ? OR
+      normalized_title = ? OR normalized_title LIKE ? || ' %' OR ? LIKE normalized_title || ' %'
+    )
+  `).all(serverId, type, tmdbId || null, tvdbId || null, imdbId || null, normalized, normalized, normalized);
+
+  return matchPlexItem(
+    candidates.map(row => ({ ...row, originalTitle: row.original_title })),
+    { tmdbId, tvdbId, imdbId, title, year },
+    row => ({ tmdbId: row.tmdb_id, tvdbId: row.tvdb_id, imdbId: row.imdb_id })
+  );
+}
+
+/**
+ * Find a movie or show on a server: in the index once synced, otherwise live
+ */
+async function lookupPlexItem(server, contentType, criteria) {
+  if (isLibraryIndexed(server.id)) {
+    return findIndexedItem(server.id, contentType, criteria);
+  }
+  return findPlexItem(server, contentType, criteria);
+}
+
+/**
+ * Get the library index status for a server
+ */
+function getLibraryStatus(serverId) {
+  const state = db.prepare('SELECT * FROM plex_library_sync WHERE server_id = ?').get(serverId);
+  return {
+    indexed: Boolean(state?.last_full_sync),
+    lastFullSync: state?.last_full_sync || null,
+    lastRefresh: state?.last_refresh || null,
+    itemCount: state?.item_count || 0,
+    lastError: state?.last_error || null
+  };
+}
+
+module.exports = {
+  syncServerLibrary,
+  syncAllLibraries,
+  refreshServerLibrary,
+  isLibraryIndexed,
+  findIndexedItem,
+  lookupPlexItem,
+  getLibraryStatus
+};
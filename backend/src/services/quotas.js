@@ -0,0 +1,128 @@
+/**
+ * Request Quota Service
+ * Rolling-window limits on how much each user can request
+ *
+ * Global defaults come from the quota_movie_limit, quota_tv_limit (seasons) and
+ * quota_days settings; users can override each with the matching users column.
+ * A limit of 0 (or no limit at all) means unlimited. Admins are never limited.
+ */
+
+const db = require('../database');
+const { getNumberSetting } = require('./settings');
+const { tmdbGet } = require('./tmdb');
+
+const DEFAULT_QUOTA_DAYS = 7;
+
+/**
+ * Resolve the effective limits for a user
+ */
+function getQuotaLimits(user) {
+  const pick = (override, settingKey, fallback) =>
+    override !== null && override !== undefined ? override : getNumberSetting(settingKey, fallback);
+
+  return {
+    movie: pick(user.quota_movie_limit, 'quota_movie_limit', 0),
+    tv: pick(user.quota_tv_limit, 'quota_tv_limit', 0),
+    days: pick(user.quota_days, 'quota_days', DEFAULT_QUOTA_DAYS) || DEFAULT_QUOTA_DAYS
+  };
+}
+
+/**
+ * Count what a user requested within the window.
+ * Movies count once; series count the number of seasons requested.
+ */
+function getQuotaUsage(userId, contentType, days) {
+  const window = `-${days} days`;
+  const amount = contentType === 'movie'
+    ? '1'
+    : 'COALESCE(season_count, json_array_length(seasons), 1)';
+
+  return db.prepare(`
+    SELECT COALESCE(SUM(amount), 0) as used, MIN(created_at) as oldest FROM (
+      SELECT ${amount} as amount, requested_at as created_at FROM content_requests
+      WHERE user_id = ? AND content_type = ? AND status != 'rejected' AND requested_at > datetime('now', ?)
+      UNION ALL
+      SELECT ${amount} as amount, added_at as created_at FROM rss_items
+      WHERE added_by = ? AND content_type = ? AND added_at > datetime('now', ?)
+    )
+  `).get(userId, contentType, window, userId, contentType, window);
+}
+
+/**
+ * Get a user's quota status for movies and series
+ */
+function getUserQuota(userId) {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+  if (!user) return null;
+
+  const limits = getQuotaLimits(user);
+  const exempt = user.role === 'admin';
+  const result = { days: limits.days, exempt };
+
+  for (const contentType of ['movie', 'tv']) {
+    const limit = exempt ? 0 : limits[contentType];
+    const usage = getQuotaUsage(user.id, contentType, limits.days);
+
+    let resetsAt = null;
+    if (limit > 0 && usage.oldest) {
+      resetsAt = new Date(new Date(usage.oldest.replace(' ', 'T') + 'Z').getTime() + limits.days * 24 * 60 * 60 * 1000);
+    }
+
+    result[contentType] = {
+      limit: limit > 0 ? limit : null,
+      used: usage.used,
+      remaining: limit > 0 ? Math.max(limit - usage.used, 0) : null,
+      unlimited: !(limit > 0),
+      resetsAt
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Count the seasons a series request covers.
+ * Requests for all seasons count every season TMDB knows about (excluding specials).
+ */
+async function countRequestedSeasons(tmdbId, seasons) {
+  if (Array.isArray(seasons) && seasons.length > 0) {
+    return seasons.length;
+  }
+
+  try {
+    const show = await tmdbGet(`/tv/${tmdbId}`);
+    const regularSeasons = (show.seasons || []).filter(s => s.season_number > 0).length;
+    return regularSeasons || show.number_of_seasons || 1;
+  } catch (error) {
+    console.error('Season count lookup error:', error.message);
+    return 1;
+  }
+}
+
+/**
+ * Check whether a new request fits in the user's quota.
+ * Returns null when allowed, or the quota details when it would be exceeded.
+ */
+function checkQuota(userId, contentType, amount) {
+  const quota = getUserQuota(userId);
+  if (!quota || quota.exempt) return null;
+
+  const status = quota[contentType];
+  if (status.unlimited || status.used + amount <= status.limit) return null;
+
+  return {
+    type: contentType,
+    limit: status.limit,
+    used: status.used,
+    remaining: status.remaining,
+    requested: amount,
+    days: quota.days,
+    resetsAt: status.resetsAt
+  };
+}
+
+module.exports = {
+  getUserQuota,
+  countRequestedSeasons,
+  checkQuota
+};
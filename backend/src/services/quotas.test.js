@@ -0,0 +1,126 @@
+/**
+ * Request Quota Service tests
+ */
+
+const db = require('../database');
+const { checkQuota } = require('./quotas');
+
+/**
+ * Create a user, with optional users columns (role, quota overrides)
+ */
+function createUser(id, columns = {}) {
+  db.prepare("INSERT INTO users (id, username, password_hash, role) VALUES (?, ?, 'x', ?)")
+    .run(id, id, columns.role || 'user');
+  for (const [column, value] of Object.entries(columns)) {
+    if (column !== 'role') db.prepare(`UPDATE users SET ${column} = ? WHERE id = ?`).run(value, id);
+  }
+}
+
+/**
+ * Add a request for a user, requested the given number of days ago
+ */
+function addRequest(userId, contentType, { status = 'pending', seasonCount = null, daysAgo = 0 } = {}) {
+  db.prepare(`
+    INSERT INTO content_requests (id, user_id, server_id, tmdb_id, content_type, title, status, season_count, requested_at)
+    VALUES (lower(hex(randomblob(8))), ?, 'server', 1, ?, 'Title', ?, ?, datetime('now', ?))
+  `).run(userId, contentType, status, seasonCount, `-${daysAgo} days`);
+}
+
+/**
+ * Set a global setting
+ */
+function setSetting(key, value) {
+  db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run(key, String(value));
+}
+
+beforeAll(() => {
+  db.prepare("INSERT INTO plex_servers (id, name, url, token) VALUES ('server', 'Home', 'http://plex', 'token')").run();
+});
+
+beforeEach(() => {
+  db.prepare('DELETE FROM content_requests').run();
+  db.prepare('DELETE FROM rss_items').run();
+  db.prepare('DELETE FROM users').run();
+  db.prepare("DELETE FROM settings WHERE key LIKE 'quota_%'").run();
+});
+
+describe('checkQuota', () => {
+  test('allows everything without a limit', () => {
+    createUser('alice');
+    addRequest('alice', 'movie');
+    addRequest('alice', 'movie');
+
+    expect(checkQuota('alice', 'movie', 1)).toBeNull();
+  });
+
+  test('refuses movies over the global limit', () => {
+    setSetting('quota_movie_limit', 2);
+    createUser('alice');
+    addRequest('alice', 'movie');
+
+    expect(checkQuota('alice', 'movie', 1)).toBeNull();
+
+    addRequest('alice', 'movie');
+    expect(checkQuota('alice', 'movie', 1)).toMatchObject({
+      type: 'movie',
+      limit: 2,
+      used: 2,
+      remaining: 0,
+      requested: 1,
+      days: 7
+    });
+  });
+
+  test('counts series by requested seasons', () => {
+    setSetting('quota_tv_limit', 5);
+    createUser('alice');
+    addRequest('alice', 'tv', { seasonCount: 3 });
+
+    expect(checkQuota('alice', 'tv', 2)).toBeNull();
+    expect(checkQuota('alice', 'tv', 3)).toMatchObject({ used: 3, limit: 5, requested: 3 });
+  });
+
+  test('ignores rejected requests and requests outside the window', () => {
+    setSetting('quota_movie_limit', 1);
+    setSetting('quota_days', 7);
+    createUser('alice');
+    addRequest('alice', 'movie', { status: 'rejected' });
+    addRequest('alice', 'movie', { daysAgo: 8 });
+
+    expect(checkQuota('alice', 'movie', 1)).toBeNull();
+  });
+
+  test('counts titles added directly', () => {
+    setSetting('quota_movie_limit', 1);
+    createUser('alice');
+    db.prepare(`
+      INSERT INTO rss_items (id, server_id, content_type, tmdb_id, title, added_by)
+      VALUES ('rss', 'server', 'movie', 1, 'Title', 'alice')
+    `).run();
+
+    expect(checkQuota('alice', 'movie', 1)).toMatchObject({ used: 1 });
+  });
+
+  test('uses the per-user override over the global limit', () => {
+    setSetting('quota_movie_limit', 1);
+    createUser('alice', { quota_movie_limit: 3 });
+    createUser('bob', { quota_movie_limit: 0 });
+    for (const user of ['alice', 'bob']) {
+      addRequest(user, 'movie');
+      addRequest(user, 'movie');
+    }
+
+    expect(checkQuota('alice', 'movie', 1)).toBeNull();
+    expect(checkQuota('alice', 'movie', 2)).toMatchObject({ limit: 3 });
+    // 0 means unlimited
+    expect(checkQuota('bob', 'movie', 10)).toBeNull();
+  });
+
+  test('never limits admins', () => {
+    setSetting('quota_movie_limit', 1);
+    createUser('admin', { role: 'admin' });
+    addRequest('admin', 'movie');
+
+    expect(checkQuota('admin', 'movie', 1)).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Request Events Service
+ * Lifecycle timeline of each request: created, approved (by an admin or a
+ * rule), held or rejected, sent to Radarr/Sonarr or failed, grabbed, imported,
+ * downloaded, available on Plex, deleted, and extended with new seasons
+ */
+
+const db = require('../database');
+
+/**
+ * Record an event on a request. userId is the user who caused it (null for
+ * rules, jobs and webhooks); details is stored as JSON.
+ */
+function addRequestEvent(requestId, event, { userId = null, details = null } = {}) {
+  db.prepare(`
+    INSERT INTO request_events (request_id, event, user_id, details)
+    VALUES (?, ?, ?, ?)
+  `).run(requestId, event, userId, details ? JSON.stringify(details) : null);
+}
+
+/**
+ * Get a request's events, oldest first
+ */
+function getRequestTimeline(requestId) {
+  return db.prepare(`
+    SELECT e.*, u.username
+    FROM request_events e
+    LEFT JOIN users u ON e.user_id = u.id
+    WHERE e.request_id = ?
+    ORDER BY e.created_at ASC, e.id ASC
+  `).all(requestId).map(e => ({
+    event: e.event,
+    userId: e.user_id,
+    username: e.username,
+    details: e.details ? JSON.parse(e.details) : null,
+    createdAt: e.created_at
+  }));
+}
+
+module.exports = {
+  addRequestEvent,
+  getRequestTimeline
+};
@@ -0,0 +1,595 @@
+/**
+ * Request Service
+ * Radarr/Sonarr adds, RSS tracking and the approval workflow, shared by the
+ * request routes and background jobs
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const db = require('../database');
+const { decrypt } = require('../database');
+const { getTvdbId, resolveExternalIds } = require('./idMapping');
+const { tmdbGet } = require('./tmdb');
+const { lookupPlexItem } = require('./plexLibrary');
+const { getSeasonAvailability } = require('./tvAvailability');
+const { notify } = require('./notifications');
+const { evaluateRules } = require('./approvalRules');
+const { countRequestedSeasons, checkQuota } = require('./quotas');
+const { findRadarrMovie, findSonarrSeries, invalidateArrSnapshot } = require('./arrSnapshot');
+const { addRequestEvent } = require('./requestEvents');
+
+/**
+ * Resolve the quality profile, root folder and tags used when adding to Radarr/Sonarr.
+ * Per-request overrides win over the server defaults, which win over the first entry the *arr reports.
+ */
+async function resolveArrOptions(service, server, apiKey, overrides = {}) {
+  const baseUrl = server[`${service}_url`];
+  const serviceName = service === 'radarr' ? 'Radarr' : 'Sonarr';
+
+  let rootFolderPath = overrides.rootFolderPath || server[`${service}_root_folder`];
+  if (!rootFolderPath) {
+    const rootFolderResponse = await axios.get(`${baseUrl}/api/v3/rootfolder`, {
+      headers: { 'X-Api-Key': apiKey },
+      timeout: 10000
+    });
+
+    if (!rootFolderResponse.data || rootFolderResponse.data.length === 0) {
+      return { error: `No root folder configured in ${serviceName}` };
+    }
+
+    rootFolderPath = rootFolderResponse.data[0].path;
+  }
+
+  let qualityProfileId = overrides.qualityProfileId || server[`${service}_quality_profile_id`];
+  if (!qualityProfileId) {
+    const profileResponse = await axios.get(`${baseUrl}/api/v3/qualityprofile`, {
+      headers: { 'X-Api-Key': apiKey },
+      timeout: 10000
+    });
+
+    if (!profileResponse.data || profileResponse.data.length === 0) {
+      return { error: `No quality profile configured in ${serviceName}` };
+    }
+
+    qualityProfileId = profileResponse.data[0].id;
+  }
+
+  const tags = overrides.tags || (server[`${service}_tags`] ? JSON.parse(server[`${service}_tags`]) : []);
+
+  return {
+    rootFolderPath,
+    qualityProfileId: parseInt(qualityProfileId),
+    tags: tags.map(t => parseInt(t))
+  };
+}
+
+/**
+ * Check Radarr/Sonarr options, as stored on a server or overridden on an
+ * approval. Unset values are skipped. Returns an error message, or null when
+ * they are valid.
+ */
+function validateArrOptions(serviceName, { qualityProfileId, rootFolderPath, languageProfileId, tags }) {
+  const isSet = value => value !== undefined && value !== null && value !== '';
+  const isId = value => Number.isInteger(value) && value > 0;
+
+  if (isSet(tags) && (!Array.isArray(tags) || !tags.every(isId))) {
+    return `${serviceName} tags must be a list of tag ids`;
+  }
+  if (isSet(qualityProfileId) && !isId(qualityProfileId)) {
+    return `${serviceName} quality profile must be a profile id`;
+  }
+  if (isSet(languageProfileId) && !isId(languageProfileId)) {
+    return `${serviceName} language profile must be a profile id`;
+  }
+  if (isSet(rootFolderPath) && (typeof rootFolderPath !== 'string' || !rootFolderPath.trim())) {
+    return `${serviceName} root folder must be a path`;
+  }
+  return null;
+}
+
+/**
+ * Add movie to Radarr
+ */
+async function addToRadarr(server, tmdbId, title, options = {}) {
+  if (!server.radarr_url || !server.radarr_api_key) {
+    return { success: false, error: 'Radarr not configured' };
+  }
+
+  const apiKey = decrypt(server.radarr_api_key);
+  
+  try {
+    // First, lookup the movie in Radarr
+    const lookupResponse = await axios.get(`${server.radarr_url}/api/v3/movie/lookup/tmdb`, {
+      headers: { 'X-Api-Key': apiKey },
+      params: { tmdbId },
+      timeout: 10000
+    });
+
+    if (!lookupResponse.data) {
+      return { success: false, error: 'Movie not found in TMDB' };
+    }
+
+    const movieData = lookupResponse.data;
+
+    const arrOptions = await resolveArrOptions('radarr', server, apiKey, options);
+    if (arrOptions.error) {
+      return { success: false, error: arrOptions.error };
+    }
+
+    // Add the movie to Radarr
+    const addResponse = await axios.post(`${server.radarr_url}/api/v3/movie`, {
+      title: movieData.title,
+      tmdbId: movieData.tmdbId,
+      year: movieData.year,
+      qualityProfileId: arrOptions.qualityProfileId,
+      rootFolderPath: arrOptions.rootFolderPath,
+      tags: arrOptions.tags,
+      monitored: true,
+      addOptions: {
+        searchForMovie: true // Trigger search immediately
+      }
+    }, {
+      headers: { 'X-Api-Key': apiKey },
+      timeout: 10000
+    });
+
+    invalidateArrSnapshot(server.id, 'radarr');
+    console.log(`[Radarr] Added movie: ${title} (TMDB: ${tmdbId})`);
+    return { success: true, radarrId: addResponse.data.id };
+  } catch (error) {
+    if (error.response?.status === 400 && error.response?.data?.some?.(e => e.errorCode === 'MovieExistsValidator')) {
+      return { success: true, alreadyExists: true };
+    }
+    console.error(`[Radarr] Error adding movie "${title}":`, error.response?.data || error.message);
+    return { success: false, error: error.response?.data?.[0]?.errorMessage || error.message };
+  }
+}
+
+/**
+ * Build the Sonarr season list, monitoring only the requested seasons.
+ * With no season selection every season except specials is monitored.
+ */
+function buildSonarrSeasons(availableSeasons, requestedSeasons) {
+  const requested = Array.isArray(requestedSeasons) && requestedSeasons.length > 0
+    ? requestedSeasons.map(n => parseInt(n))
+    : null;
+
+  return (availableSeasons || []).map(season => ({
+    seasonNumber: season.seasonNumber,
+    monitored: requested
+      ? requested.includes(season.seasonNumber)
+      : season.seasonNumber > 0
+  }));
+}
+
+/**
+ * Monitor additional seasons on a series that already exists in Sonarr
+ */
+async function monitorSonarrSeasons(server, apiKey, tvdbId, requestedSeasons) {
+  const seriesResponse = await axios.get(`${server.sonarr_url}/api/v3/series`, {
+    headers: { 'X-Api-Key': apiKey },
+    params: { tvdbId },
+    timeout: 10000
+  });
+
+  const series = seriesResponse.data?.[0];
+  if (!series || !Array.isArray(requestedSeasons) || requestedSeasons.length === 0) {
+    return { success: true, alreadyExists: true };
+  }
+
+  const requested = requestedSeasons.map(n => parseInt(n));
+  const newlyMonitored = series.seasons
+    .filter(s => requested.includes(s.seasonNumber) && !s.monitored)
+    .map(s => s.seasonNumber);
+
+  // Seasons Sonarr doesn't list yet (e.g. announced after its last series refresh)
+  const missingSeasons = requested.filter(n => !series.seasons.some(s => s.seasonNumber === n));
+
+  if (newlyMonitored.length === 0) {
+    return { success: true, alreadyExists: true, sonarrId: series.id, missingSeasons };
+  }
+
+  series.monitored = true;
+  series.seasons = series.seasons.map(s => ({
+    ...s,
+    monitored: s.monitored || newlyMonitored.includes(s.seasonNumber)
+  }));
+
+  await axios.put(`${server.sonarr_url}/api/v3/series/${series.id}`, series, {
+    headers: { 'X-Api-Key': apiKey },
+    timeout: 10000
+  });
+
+  for (const seasonNumber of newlyMonitored) {
+    await axios.post(`${server.sonarr_url}/api/v3/command`, {
+      name: 'SeasonSearch',
+      seriesId: series.id,
+      seasonNumber
+    }, {
+      headers: { 'X-Api-Key': apiKey },
+      timeout: 10000
+    });
+  }
+
+  invalidateArrSnapshot(server.id, 'sonarr');
+  console.log(`[Sonarr] Monitored seasons ${newlyMonitored.join(', ')} of existing series (TVDB: ${tvdbId})`);
+  return { success: true, alreadyExists: true, sonarrId: series.id, monitoredSeasons: newlyMonitored, missingSeasons };
+}
+
+/**
+ * Add series to Sonarr
+ */
+async function addToSonarr(server, tmdbId, title, seasons, options = {}) {
+  if (!server.sonarr_url || !server.sonarr_api_key) {
+    return { success: false, error: 'Sonarr not configured' };
+  }
+
+  const apiKey = decrypt(server.sonarr_api_key);
+  
+  // Sonarr identifies series by TVDB id, so resolve it from TMDB first
+  const tvdbId = await getTvdbId(tmdbId);
+  if (!tvdbId) {
+    return { success: false, error: 'No TVDB id found for this series' };
+  }
+
+  try {
+    const searchResponse = await axios.get(`${server.sonarr_url}/api/v3/series/lookup`, {
+      headers: { 'X-Api-Key': apiKey },
+      params: { term: `tvdb:${tvdbId}` },
+      timeout: 10000
+    });
+
+    const seriesData = searchResponse.data?.find(s => s.tvdbId === tvdbId);
+    if (!seriesData) {
+      return { success: false, error: 'Series not found' };
+    }
+
+    const arrOptions = await resolveArrOptions('sonarr', server, apiKey, options);
+    if (arrOptions.error) {
+      return { success: false, error: arrOptions.error };
+    }
+
+    const languageProfileId = options.languageProfileId || server.sonarr_language_profile_id;
+
+    // Add the series to Sonarr
+    const addResponse = await axios.post(`${server.sonarr_url}/api/v3/series`, {
+      title: seriesData.title,
+      tvdbId: seriesData.tvdbId,
+      year: seriesData.year,
+      qualityProfileId: arrOptions.qualityProfileId,
+      ...(languageProfileId && { languageProfileId: parseInt(languageProfileId) }),
+      rootFolderPath: arrOptions.rootFolderPath,
+      tags: arrOptions.tags,
+      monitored: true,
+      seasonFolder: true,
+      seasons: buildSonarrSeasons(seriesData.seasons, seasons),
+      addOptions: {
+        searchForMissingEpisodes: true
+      }
+    }, {
+      headers: { 'X-Api-Key': apiKey },
+      timeout: 10000
+    });
+
+    invalidateArrSnapshot(server.id, 'sonarr');
+    console.log(`[Sonarr] Added series: ${title} (TVDB: ${tvdbId})`);
+    return { success: true, sonarrId: addResponse.data.id };
+  } catch (error) {
+    if (error.response?.status === 400 && error.response?.data?.some?.(e => e.errorCode === 'SeriesExistsValidator')) {
+      try {
+        return await monitorSonarrSeasons(server, apiKey, tvdbId, seasons);
+      } catch (monitorError) {
+        console.error(`[Sonarr] Error updating seasons for "${title}":`, monitorError.response?.data || monitorError.message);
+        return { success: true, alreadyExists: true };
+      }
+    }
+    console.error(`[Sonarr] Error adding series "${title}":`, error.response?.data || error.message);
+    return { success: false, error: error.response?.data?.[0]?.errorMessage || error.message };
+  }
+}
+
+/**
+ * Track an item in the RSS feed. A series already in the feed gets the new
+ * seasons merged into its row (no season list means every season).
+ * knownSeasons and followSeasons seed the new_seasons job for series added directly.
+ * source is 'direct' for those, and 'request' for items tracked by an approval.
+ * Returns the RSS item id.
+ */
+function trackRssItem({ serverId, contentType, tmdbId, title, year, overview, posterPath, seasons, seasonCount, addedBy, knownSeasons = null, followSeasons = false, source = 'request' }) {
+  const existing = db.prepare(`
+    SELECT * FROM rss_items WHERE server_id = ? AND content_type = ? AND tmdb_id = ?
+  `).get(serverId, contentType, tmdbId);
+
+  if (existing) {
+    if (contentType === 'tv' && existing.seasons) {
+      const merged = seasons
+        ? [...new Set([...JSON.parse(existing.seasons), ...seasons])].sort((a, b) => a - b)
+        : null;
+      db.prepare('UPDATE rss_items SET seasons = ?, season_count = ? WHERE id = ?').run(
+        merged ? JSON.stringify(merged) : null,
+        merged ? merged.length : seasonCount,
+        existing.id
+      );
+    }
+    return existing.id;
+  }
+
+  const rssId = crypto.randomUUID();
+  db.prepare(`
+    INSERT INTO rss_items (id, server_id, content_type, tmdb_id, title, year, overview, poster_path, seasons, season_count, added_by, known_seasons, follow_seasons, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    rssId,
+    serverId,
+    contentType,
+    tmdbId,
+    title,
+    year || null,
+    overview || null,
+    posterPath || null,
+    seasons ? JSON.stringify(seasons) : null,
+    seasonCount,
+    addedBy,
+    knownSeasons,
+    followSeasons ? 1 : 0,
+    source
+  );
+  return rssId;
+}
+
+/**
+ * Number of seasons TMDB currently lists for a series, or null if TMDB can't be reached.
+ * Recorded with new series requests so the new_seasons job knows what they covered.
+ */
+async function getKnownSeasons(tmdbId) {
+  try {
+    const show = await tmdbGet(`/tv/${tmdbId}`);
+    return show.number_of_seasons ?? null;
+  } catch (error) {
+    console.error('Season count lookup error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get a series' season-by-season availability on a server's Plex,
+ * or null if the series isn't there
+ */
+async function getPlexSeasonAvailability(server, tmdbId, title, year) {
+  const criteria = { tmdbId, ...await resolveExternalIds(tmdbId, 'tv'), title, year };
+  const match = await lookupPlexItem(server, 'tv', criteria);
+  if (!match) return null;
+
+  const show = await tmdbGet(`/tv/${tmdbId}`);
+  return getSeasonAvailability(server, show, match.item);
+}
+
+/**
+ * Approve a pending request: send it to Radarr/Sonarr, track it in the RSS feed
+ * and notify the requester. approvedBy is null for rule-based approvals.
+ * Each step is recorded in the request's timeline. Returns null, without
+ * touching Radarr/Sonarr, when the request is no longer pending.
+ */
+async function approveRequest(request, { approvedBy = null, notes = null, seasons = null, arrOptions = {} } = {}) {
+  // Claim the request first, so concurrent approvals only add it once
+  const claimed = db.prepare(`
+    UPDATE content_requests 
+    SET status = 'approved', processed_at = datetime('now'), processed_by = ?, notes = ?
+    WHERE id = ? AND status = 'pending'
+  `).run(approvedBy, notes || null, request.id);
+  if (claimed.changes === 0) return null;
+
+  // Get server for Radarr/Sonarr integration
+  const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(request.server_id);
+
+  // Add to Radarr/Sonarr
+  let arrResult = { success: false };
+  if (server) {
+    if (request.content_type === 'movie') {
+      arrResult = await addToRadarr(server, request.tmdb_id, request.title, arrOptions);
+    } else if (request.content_type === 'tv') {
+      const seasonList = seasons || (request.seasons ? JSON.parse(request.seasons) : null);
+      arrResult = await addToSonarr(server, request.tmdb_id, request.title, seasonList, arrOptions);
+    }
+  }
+
+  // Add to RSS feed for tracking
+  const rssId = trackRssItem({
+    serverId: request.server_id,
+    contentType: request.content_type,
+    tmdbId: request.tmdb_id,
+    title: request.title,
+    year: request.year,
+    overview: request.overview,
+    posterPath: request.poster_path,
+    seasons: seasons || (request.seasons ? JSON.parse(request.seasons) : null),
+    seasonCount: seasons ? seasons.length : request.season_count,
+    addedBy: approvedBy
+  });
+
+  addRequestEvent(request.id, approvedBy ? 'approved' : 'auto_approved', {
+    userId: approvedBy,
+    details: notes ? { notes } : null
+  });
+
+  const service = request.content_type === 'movie' ? 'radarr' : 'sonarr';
+  if (arrResult.success) {
+    addRequestEvent(request.id, 'sent', {
+      details: {
+        service,
+        arrId: arrResult.radarrId || arrResult.sonarrId || null,
+        alreadyExists: !!arrResult.alreadyExists
+      }
+    });
+  } else {
+    addRequestEvent(request.id, 'failed', { details: { service, error: arrResult.error || 'Server not found' } });
+  }
+
+  notify('request_approved', { ...request, status: 'approved', notes: notes || null });
+
+  return { arrResult, rssId };
+}
+
+/**
+ * Create a request for approval and let the auto-approval rules decide whether
+ * it can skip the queue. Returns { request, decision }, plus the approval's
+ * { arrResult, rssId } when a rule approved it.
+ */
+async function submitRequest({ userId, serverId, tmdbId, contentType, title, year, overview, posterPath, seasons, seasonCount, followSeasons = false, source = null }) {
+  const requestId = crypto.randomUUID();
+  const knownSeasons = contentType === 'tv' ? await getKnownSeasons(tmdbId) : null;
+  db.prepare(`
+    INSERT INTO content_requests (id, user_id, server_id, tmdb_id, content_type, title, year, overview, poster_path, seasons, season_count, follow_seasons, known_seasons)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    requestId,
+    userId,
+    serverId,
+    tmdbId,
+    contentType,
+    title,
+    year || null,
+    overview || null,
+    posterPath || null,
+    seasons ? JSON.stringify(seasons) : null,
+    seasonCount,
+    followSeasons ? 1 : 0,
+    knownSeasons
+  );
+
+  // source: what created the request on the user's behalf (watchlist, new_seasons)
+  addRequestEvent(requestId, 'created', { userId, details: source ? { source } : null });
+
+  const request = db.prepare('SELECT * FROM content_requests WHERE id = ?').get(requestId);
+  const decision = await evaluateRules({ tmdbId, contentType, seasons, userId });
+
+  if (decision?.action === 'approve') {
+    const approval = await approveRequest(request, {
+      notes: `Auto-approved by rule: ${decision.rule.name}`
+    });
+    // null when an admin already decided while the rules were evaluated
+    if (approval) return { request, decision, ...approval };
+    return { request, decision: null };
+  }
+
+  if (decision?.action === 'never') {
+    db.prepare('UPDATE content_requests SET notes = ? WHERE id = ?')
+      .run(`Held for review by rule: ${decision.rule.name}`, requestId);
+    addRequestEvent(requestId, 'held', { details: { rule: decision.rule.name } });
+  }
+
+  notify('request_pending', request);
+
+  return { request, decision };
+}
+
+/**
+ * Get the seasons no open (pending or approved) request on the server covers.
+ * Returns null when the title (or every given season) is already covered.
+ * Same rule as new requests: series seasons no open request covers can still be requested.
+ */
+function getUncoveredSeasons(serverId, tmdbId, contentType, seasons = null) {
+  const open = db.prepare(`
+    SELECT seasons FROM content_requests
+    WHERE tmdb_id = ? AND content_type = ? AND server_id = ? AND status IN ('pending', 'approved')
+  `).all(tmdbId, contentType, serverId);
+
+  if (open.length === 0) return { seasons };
+  if (!seasons || open.some(r => !r.seasons)) return null;
+
+  const covered = new Set(open.flatMap(r => JSON.parse(r.seasons)));
+  const wanted = seasons.filter(s => !covered.has(s));
+  return wanted.length > 0 ? { seasons: wanted } : null;
+}
+
+/**
+ * Submit a request on a user's behalf (source: watchlist or new_seasons): the
+ * movie, or the given seasons. Returns the request, or null when an open request
+ * already covers it or the user's quota is used up.
+ */
+async function submitAutomaticRequest({ userId, serverId, tmdbId, contentType, title, year, overview, posterPath, seasons = null, source }) {
+  const uncovered = getUncoveredSeasons(serverId, tmdbId, contentType, seasons);
+  if (!uncovered) return null;
+  const wanted = uncovered.seasons;
+
+  const seasonCount = contentType === 'tv' ? await countRequestedSeasons(tmdbId, wanted) : null;
+  if (checkQuota(userId, contentType, seasonCount || 1)) {
+    console.log(`[Requests] Not requesting ${title}: quota exceeded for user ${userId}`);
+    return null;
+  }
+
+  const { request } = await submitRequest({
+    userId,
+    serverId,
+    tmdbId,
+    contentType,
+    title,
+    year,
+    overview,
+    posterPath,
+    seasons: wanted,
+    seasonCount,
+    source
+  });
+  return request;
+}
+
+/**
+ * Live download progress of a request in the Radarr/Sonarr queue: one entry
+ * per queued release (episode, for series in the requested seasons)
+ */
+async function getQueueProgress(request) {
+  const server = db.prepare('SELECT * FROM plex_servers WHERE id = ?').get(request.server_id);
+  const service = request.content_type === 'movie' ? 'radarr' : 'sonarr';
+  if (!server?.[`${service}_url`] || !server[`${service}_api_key`]) return [];
+
+  // The snapshot only maps the title to its Radarr/Sonarr id; the queue itself is fetched live
+  let params;
+  if (service === 'radarr') {
+    const found = await findRadarrMovie(server, request.tmdb_id);
+    if (!found) return [];
+    params = { movieId: found.movie.id };
+  } else {
+    const tvdbId = await getTvdbId(request.tmdb_id);
+    const found = tvdbId && await findSonarrSeries(server, tvdbId);
+    if (!found) return [];
+    params = { seriesId: found.series.id, includeEpisode: true };
+  }
+
+  const response = await axios.get(`${server[`${service}_url`]}/api/v3/queue/details`, {
+    headers: { 'X-Api-Key': decrypt(server[`${service}_api_key`]) },
+    params,
+    timeout: 10000
+  });
+
+  const seasons = request.seasons ? JSON.parse(request.seasons) : null;
+  return (response.data || [])
+    .filter(r => !seasons || seasons.includes(r.episode?.seasonNumber ?? r.seasonNumber))
+    .map(r => ({
+      title: r.title,
+      status: r.status,
+      trackedDownloadState: r.trackedDownloadState || null,
+      seasonNumber: r.episode?.seasonNumber ?? r.seasonNumber ?? null,
+      episodeNumber: r.episode?.episodeNumber ?? null,
+      progress: r.size > 0 ? Math.round((1 - r.sizeleft / r.size) * 1000) / 10 : 0,
+      size: r.size,
+      sizeLeft: r.sizeleft,
+      timeLeft: r.timeleft || null,
+      estimatedCompletionTime: r.estimatedCompletionTime || null
+    }));
+}
+
+module.exports = {
+  validateArrOptions,
+  addToRadarr,
+  addToSonarr,
+  monitorSonarrSeasons,
+  trackRssItem,
+  getKnownSeasons,
+  getPlexSeasonAvailability,
+  approveRequest,
+  submitRequest,
+  getUncoveredSeasons,
+  submitAutomaticRequest,
+  getQueueProgress
+};
@@ -0,0 +1,155 @@
+/**
+ * Job Scheduler
+ * Runs registered background jobs on a fixed interval
+ */
+
+const db = require('../database');
+
+// Registered jobs keyed by name
+const jobs = new Map();
+
+// Delay before the first run so startup isn't slowed down
+const STARTUP_DELAY = 60 * 1000; // 1 minute
+
+let started = false;
+
+/**
+ * Register a background job
+ */
+function registerJob(name, { description, interval, run }) {
+  jobs.set(name, {
+    name,
+    description,
+    defaultInterval: interval,
+    run,
+    running: false,
+    lastRun: null,
+    lastDuration: null,
+    lastResult: null,
+    lastError: null,
+    nextRun: null,
+    timer: null
+  });
+}
+
+/**
+ * Get a job's interval in milliseconds.
+ * Can be overridden with a `job_interval_<name>` setting in minutes.
+ */
+function getJobInterval(job) {
+  const setting = db.prepare('SELECT value FROM settings WHERE key = ?').get(`job_interval_${job.name}`);
+  const minutes = parseInt(setting?.value);
+  return minutes > 0 ? minutes * 60 * 1000 : job.defaultInterval;
+}
+
+/**
+ * Schedule the next run of a job
+ */
+function scheduleJob(job, delay) {
+  clearTimeout(job.timer);
+  job.nextRun = new Date(Date.now() + delay);
+  job.timer = setTimeout(async () => {
+    await executeJob(job);
+    scheduleJob(job, getJobInterval(job));
+  }, delay);
+  job.timer.unref();
+}
+
+/**
+ * Execute a job, recording its outcome
+ */
+async function executeJob(job) {
+  if (job.running) return;
+
+  job.running = true;
+  const startedAt = Date.now();
+
+  try {
+    job.lastResult = await job.run();
+    job.lastError = null;
+  } catch (error) {
+    console.error(`[Jobs] ${job.name} failed:`, error.message);
+    job.lastError = error.message;
+  } finally {
+    job.running = false;
+    job.lastRun = new Date(startedAt);
+    job.lastDuration = Date.now() - startedAt;
+  }
+}
+
+/**
+ * Start all registered jobs
+ */
+function startScheduler() {
+  if (started) return;
+  started = true;
+
+  for (const job of jobs.values()) {
+    scheduleJob(job, STARTUP_DELAY);
+  }
+
+  console.log(`✅ Scheduler started (${jobs.size} jobs)`);
+}
+
+/**
+ * Stop all registered jobs
+ */
+function stopScheduler() {
+  for (const job of jobs.values()) {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRun = null;
+  }
+  started = false;
+}
+
+/**
+ * Run a job immediately, then restart its interval
+ */
+async function runJobNow(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw Object.assign(new Error('Job not found'), { status: 404 });
+  }
+  if (job.running) {
+    throw Object.assign(new Error('Job is already running'), { status: 409 });
+  }
+
+  await executeJob(job);
+  if (started) {
+    scheduleJob(job, getJobInterval(job));
+  }
+  return getJobStatus(job);
+}
+
+/**
+ * Public view of a job's state
+ */
+function getJobStatus(job) {
+  return {
+    name: job.name,
+    description: job.description,
+    interval: getJobInterval(job),
+    running: job.running,
+    lastRun: job.lastRun,
+    lastDuration: job.lastDuration,
+    lastResult: job.lastResult,
+    lastError: job.lastError,
+    nextRun: job.nextRun
+  };
+}
+
+/**
+ * List all jobs with their state
+ */
+function getJobs() {
+  return Array.from(jobs.values()).map(getJobStatus);
+}
+
+module.exports = {
+  registerJob,
+  startScheduler,
+  stopScheduler,
+  runJobNow,
+  getJobs
+};
@@ -0,0 +1,39 @@
+/**
+ * Settings Service
+ * Typed access to values in the settings table
+ */
+
+const db = require('../database');
+const { decrypt } = require('../database');
+
+/**
+ * Get a setting value, decrypting it if stored encrypted
+ */
+function getSetting(key, defaultValue = null) {
+  const setting = db.prepare('SELECT value, encrypted FROM settings WHERE key = ?').get(key);
+  if (!setting || setting.value === null || setting.value === '') return defaultValue;
+  return setting.encrypted ? decrypt(setting.value) : setting.value;
+}
+
+/**
+ * Get a boolean setting ('true'/'1' are true)
+ */
+function getBooleanSetting(key, defaultValue = false) {
+  const value = getSetting(key);
+  if (value === null) return defaultValue;
+  return value === 'true' || value === '1';
+}
+
+/**
+ * Get a numeric setting
+ */
+function getNumberSetting(key, defaultValue = null) {
+  const value = parseFloat(getSetting(key));
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+module.exports = {
+  getSetting,
+  getBooleanSetting,
+  getNumberSetting
+};
@@ -0,0 +1,48 @@
+/**
+ * TMDB Service
+ * Shared access to The Movie Database API
+ */
+
+const axios = require('axios');
+const db = require('../database');
+const { decrypt } = require('../database');
+const { withTmdbCache } = require('./tmdbCache');
+
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+
+/**
+ * Get TMDB API key
+ */
+function getTmdbApiKey() {
+  const setting = db.prepare('SELECT value FROM settings WHERE key = ?').get('tmdb_api_key');
+  if (!setting) return null;
+  return decrypt(setting.value);
+}
+
+/**
+ * Perform a GET request against the TMDB API (through the TMDB cache)
+ */
+async function tmdbGet(endpoint, params = {}) {
+  const apiKey = getTmdbApiKey();
+  if (!apiKey) {
+    throw new Error('TMDB API not configured');
+  }
+
+  return withTmdbCache(endpoint, params, async () => {
+    const response = await axios.get(`${TMDB_BASE_URL}${endpoint}`, {
+      params: {
+        api_key: apiKey,
+        ...params
+      },
+      timeout: 10000
+    });
+
+    return response.data;
+  });
+}
+
+module.exports = {
+  TMDB_BASE_URL,
+  getTmdbApiKey,
+  tmdbGet
+};
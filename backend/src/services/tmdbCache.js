@@ -0,0 +1,151 @@
+/**
+ * TMDB Cache
+ * SQLite-backed cache of TMDB responses with per-endpoint TTLs.
+ * Expired entries are served while a background refresh runs
+ * (stale-while-revalidate), and any cached entry is served when TMDB is
+ * unreachable or rate-limiting us.
+ */
+
+const db = require('../database');
+const { getNumberSetting } = require('./settings');
+const { shareInFlight } = require('./concurrency');
+const { registerCacheNamespace } = require('./cache');
+
+// Endpoint types, matched in order, with their default TTLs in minutes.
+// Override with the tmdb_cache_ttl_<type> settings.
+const ENDPOINT_TYPES = [
+  { type: 'search', pattern: /^\/search\//, ttl: 60 },
+  { type: 'discover', pattern: /^\/(trending|discover)\/|^\/(movie|tv)\/(popular|upcoming|on_the_air)$/, ttl: 60 },
+  { type: 'genres', pattern: /^\/genre\//, ttl: 7 * 24 * 60 },
+  { type: 'season', pattern: /^\/tv\/\d+\/season\/\d+/, ttl: 24 * 60 },
+  { type: 'details', pattern: /^\/(movie|tv)\/\d+(\/external_ids)?$/, ttl: 24 * 60 },
+  { type: 'other', pattern: /./, ttl: 6 * 60 }
+];
+
+// How long past its TTL an entry is still served while it refreshes, in days
+const DEFAULT_STALE_DAYS = 7;
+
+const stats = { hits: 0, stale: 0, misses: 0 };
+
+/**
+ * Get the endpoint type of a TMDB path (e.g. "/movie/603" is "details")
+ */
+function getEndpointType(endpoint) {
+  return ENDPOINT_TYPES.find(t => t.pattern.test(endpoint)).type;
+}
+
+/**
+ * Get the TTL of an endpoint type in milliseconds
+ */
+function getTtl(type) {
+  const { ttl } = ENDPOINT_TYPES.find(t => t.type === type);
+  return getNumberSetting(`tmdb_cache_ttl_${type}`, ttl) * 60 * 1000;
+}
+
+/**
+ * Get how long an expired entry is still served while it refreshes, in milliseconds
+ */
+function getStaleWindow() {
+  return getNumberSetting('tmdb_cache_stale_days', DEFAULT_STALE_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Check whether a failed TMDB call means TMDB is unavailable (rather than a bad request)
+ */
+function isUnavailable(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Get a TMDB response through the cache. fetch performs the actual request.
+ */
+async function withTmdbCache(endpoint, params, fetch) {
+  const type = getEndpointType(endpoint);
+  const key = `${endpoint}?${new URLSearchParams(params)}`;
+
+  const entry = db.prepare('SELECT response, fetched_at FROM tmdb_cache WHERE cache_key = ?').get(key);
+  const age = entry ? Date.now() - Date.parse(`${entry.fetched_at}Z`) : null;
+  const ttl = getTtl(type);
+
+  const refresh = () => shareInFlight(`tmdb_${key}`, async () => {
+    const data = await fetch();
+    db.prepare(`
+      INSERT OR REPLACE INTO tmdb_cache (cache_key, endpoint_type, response, fetched_at)
+      VALUES (?, ?, ?, datetime('now'))
+    `).run(key, type, JSON.stringify(data));
+    return data;
+  });
+
+  if (entry && age < ttl) {
+    stats.hits++;
+    return JSON.parse(entry.response);
+  }
+
+  if (entry && age < ttl + getStaleWindow()) {
+    stats.stale++;
+    refresh().catch(error => {
+      console.error(`[TMDB] Background refresh failed for ${endpoint}:`, error.message);
+    });
+    return JSON.parse(entry.response);
+  }
+
+  stats.misses++;
+  try {
+    return await refresh();
+  } catch (error) {
+    if (entry && isUnavailable(error)) {
+      console.warn(`[TMDB] Serving stale ${endpoint}: ${error.message}`);
+      return JSON.parse(entry.response);
+    }
+    if (error.response?.status === 404) {
+      db.prepare('DELETE FROM tmdb_cache WHERE cache_key = ?').run(key);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete entries past their TTL and stale window. Returns the number removed.
+ */
+function pruneTmdbCache() {
+  const staleWindow = getStaleWindow();
+  let removed = 0;
+
+  for (const { type } of ENDPOINT_TYPES) {
+    const maxAgeSeconds = Math.floor((getTtl(type) + staleWindow) / 1000);
+    removed += db.prepare(`
+      DELETE FROM tmdb_cache
+      WHERE endpoint_type = ? AND fetched_at < datetime('now', ?)
+    `).run(type, `-${maxAgeSeconds} seconds`).changes;
+  }
+
+  return removed;
+}
+
+registerCacheNamespace('tmdb', {
+  getStats() {
+    const { entries, oldest } = db.prepare('SELECT COUNT(*) as entries, MIN(fetched_at) as oldest FROM tmdb_cache').get();
+    const lookups = stats.hits + stats.stale + stats.misses;
+    return {
+      entries,
+      hits: stats.hits,
+      staleHits: stats.stale,
+      misses: stats.misses,
+      hitRate: lookups > 0 ? Math.round(((stats.hits + stats.stale) / lookups) * 1000) / 1000 : null,
+      oldestEntry: oldest ? new Date(`${oldest}Z`).toISOString() : null,
+      ttlSeconds: Object.fromEntries(ENDPOINT_TYPES.map(({ type }) => [type, getTtl(type) / 1000]))
+    };
+  },
+
+  // TMDB responses aren't tied to a server, so a per-server clear leaves them
+  clear({ serverId = null, prefix = null } = {}) {
+    if (serverId) return 0;
+    return db.prepare("DELETE FROM tmdb_cache WHERE cache_key LIKE ? || '%'").run(prefix || '').changes;
+  }
+});
+
+module.exports = {
+  withTmdbCache,
+  pruneTmdbCache
+};
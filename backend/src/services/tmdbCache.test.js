@@ -0,0 +1,95 @@
+/**
+ * TMDB Cache tests
+ */
+
+const db = require('../database');
+const { withTmdbCache, pruneTmdbCache } = require('./tmdbCache');
+
+/**
+ * Age a cached entry by the given number of minutes
+ */
+function age(minutes) {
+  db.prepare('UPDATE tmdb_cache SET fetched_at = datetime(fetched_at, ?)').run(`-${minutes} minutes`);
+}
+
+/**
+ * An axios-style error with an HTTP status, or none for a network error
+ */
+function tmdbError(status) {
+  return Object.assign(new Error(status ? `Request failed with status code ${status}` : 'ENOTFOUND'), {
+    response: status ? { status } : undefined
+  });
+}
+
+beforeEach(() => {
+  db.prepare('DELETE FROM tmdb_cache').run();
+  db.prepare("DELETE FROM settings WHERE key LIKE 'tmdb_cache_%'").run();
+});
+
+describe('withTmdbCache', () => {
+  test('serves fresh entries without calling TMDB', async () => {
+    const fetch = jest.fn().mockResolvedValue({ id: 603 });
+
+    expect(await withTmdbCache('/movie/603', {}, fetch)).toEqual({ id: 603 });
+    expect(await withTmdbCache('/movie/603', {}, fetch)).toEqual({ id: 603 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(db.prepare('SELECT endpoint_type FROM tmdb_cache').get().endpoint_type).toBe('details');
+  });
+
+  test('keys entries by their parameters', async () => {
+    const fetch = jest.fn().mockResolvedValue({ results: [] });
+
+    await withTmdbCache('/search/movie', { query: 'matrix', page: 1 }, fetch);
+    await withTmdbCache('/search/movie', { query: 'matrix', page: 2 }, fetch);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('serves an expired entry while it refreshes in the background', async () => {
+    await withTmdbCache('/search/movie', { query: 'matrix' }, async () => ({ page: 1 }));
+    age(61);
+
+    const fetch = jest.fn().mockResolvedValue({ page: 2 });
+    expect(await withTmdbCache('/search/movie', { query: 'matrix' }, fetch)).toEqual({ page: 1 });
+    await new Promise(setImmediate);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(await withTmdbCache('/search/movie', { query: 'matrix' }, fetch)).toEqual({ page: 2 });
+  });
+
+  test('uses TTL overrides from the settings', async () => {
+    db.prepare("INSERT INTO settings (key, value) VALUES ('tmdb_cache_ttl_search', '5')").run();
+    db.prepare("INSERT INTO settings (key, value) VALUES ('tmdb_cache_stale_days', '0')").run();
+    await withTmdbCache('/search/tv', { query: 'office' }, async () => ({ page: 1 }));
+    age(6);
+
+    const fetch = jest.fn().mockResolvedValue({ page: 2 });
+    expect(await withTmdbCache('/search/tv', { query: 'office' }, fetch)).toEqual({ page: 2 });
+  });
+
+  test('serves any cached entry when TMDB is unavailable, but not after a bad request', async () => {
+    db.prepare("INSERT INTO settings (key, value) VALUES ('tmdb_cache_stale_days', '0')").run();
+    await withTmdbCache('/tv/1399', {}, async () => ({ id: 1399 }));
+    age(2 * 24 * 60);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    for (const status of [null, 429, 503]) {
+      expect(await withTmdbCache('/tv/1399', {}, () => Promise.reject(tmdbError(status)))).toEqual({ id: 1399 });
+    }
+
+    await expect(withTmdbCache('/tv/1399', {}, () => Promise.reject(tmdbError(404)))).rejects.toThrow('404');
+    expect(db.prepare('SELECT COUNT(*) AS count FROM tmdb_cache').get().count).toBe(0);
+    console.warn.mockRestore();
+  });
+});
+
+describe('pruneTmdbCache', () => {
+  test('deletes entries past their TTL and stale window', async () => {
+    await withTmdbCache('/search/movie', { query: 'old' }, async () => ({}));
+    age(8 * 24 * 60 + 61);
+    await withTmdbCache('/search/movie', { query: 'new' }, async () => ({}));
+
+    expect(pruneTmdbCache()).toBe(1);
+    expect(db.prepare('SELECT cache_key FROM tmdb_cache').all()).toEqual([{ cache_key: '/search/movie?query=new' }]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * TV Availability Service
+ * Season- and episode-level Plex availability compared with TMDB's episode counts
+ */
+
+const db = require('../database');
+const { plexGet } = require('./plex');
+const { isLibraryIndexed } = require('./plexLibrary');
+
+/**
+ * Get the episode numbers on Plex for a show, by season number
+ */
+async function getPlexEpisodes(server, plexShow) {
+  const ratingKey = String(plexShow.rating_key ?? plexShow.ratingKey);
+  let episodes;
+
+  if (isLibraryIndexed(server.id)) {
+    episodes = db.prepare(`
+      SELECT season_number, episode_number FROM plex_library_episodes
+      WHERE server_id = ? AND show_rating_key = ?
+    `).all(server.id, ratingKey).map(e => ({ season: e.season_number, episode: e.episode_number }));
+  } else {
+    const container = await plexGet(server, `/library/metadata/${ratingKey}/allLeaves`);
+    episodes = (container.Metadata || []).map(e => ({ season: e.parentIndex, episode: e.index }));
+  }
+
+  const bySeason = new Map();
+  for (const { season, episode } of episodes) {
+    if (!bySeason.has(season)) bySeason.set(season, new Set());
+    if (episode !== null && episode !== undefined) bySeason.get(season).add(episode);
+  }
+  return bySeason;
+}
+
+/**
+ * Number of a season's episodes that have aired, from the TMDB show details
+ */
+function getAiredEpisodeCount(show, season) {
+  const last = show.last_episode_to_air;
+  if (last) {
+    if (season.season_number < last.season_number) return season.episode_count;
+    if (season.season_number === last.season_number) return Math.min(last.episode_number, season.episode_count);
+    return 0;
+  }
+  return season.air_date && new Date(season.air_date) <= new Date() ? season.episode_count : 0;
+}
+
+/**
+ * Status of a season: complete, partial, missing, or unaired if nothing has aired yet
+ */
+function getSeasonStatus(airedEpisodes, episodesOnPlex) {
+  if (airedEpisodes === 0) return episodesOnPlex > 0 ? 'complete' : 'unaired';
+  if (episodesOnPlex >= airedEpisodes) return 'complete';
+  return episodesOnPlex > 0 ? 'partial' : 'missing';
+}
+
+/**
+ * Compare a server's Plex episodes with every season of a TMDB show (details
+ * payload). plexShow is the matched Plex item, or null if the show isn't there.
+ */
+async function getSeasonAvailability(server, show, plexShow) {
+  const episodes = plexShow ? await getPlexEpisodes(server, plexShow) : new Map();
+
+  const seasons = (show.seasons || []).map(season => {
+    const onPlex = [...(episodes.get(season.season_number) || [])].sort((a, b) => a - b);
+    const airedEpisodes = getAiredEpisodeCount(show, season);
+    return {
+      seasonNumber: season.season_number,
+      episodeCount: season.episode_count,
+      airedEpisodes,
+      episodesOnPlex: onPlex.length,
+      episodes: onPlex,
+      status: getSeasonStatus(airedEpisodes, onPlex.length)
+    };
+  });
+
+  // Specials and unaired seasons don't make a show incomplete
+  const regular = seasons.filter(s => s.seasonNumber > 0 && s.status !== 'unaired');
+  let status = 'missing';
+  if (regular.length > 0 && regular.every(s => s.status === 'complete')) {
+    status = 'complete';
+  } else if (regular.some(s => s.status !== 'missing')) {
+    status = 'partial';
+  }
+
+  return { status, seasons };
+}
+
+/**
+ * Regular season numbers that aren't complete on Plex
+ */
+function getMissingSeasons(availability) {
+  return availability.seasons
+    .filter(s => s.seasonNumber > 0 && s.status !== 'complete')
+    .map(s => s.seasonNumber);
+}
+
+module.exports = {
+  getSeasonAvailability,
+  getMissingSeasons
+};
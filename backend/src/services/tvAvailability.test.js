@@ -0,0 +1,89 @@
+/**
+ * TV Availability Service tests
+ */
+
+jest.mock('./plex', () => ({ plexGet: jest.fn() }));
+
+const db = require('../database');
+const { plexGet } = require('./plex');
+const { getSeasonAvailability, getMissingSeasons } = require('./tvAvailability');
+
+const server = { id: 'server' };
+
+// Specials, two aired seasons of 3 episodes and a season airing now (1 of 4 aired)
+const show = {
+  seasons: [
+    { season_number: 0, episode_count: 2 },
+    { season_number: 1, episode_count: 3 },
+    { season_number: 2, episode_count: 3 },
+    { season_number: 3, episode_count: 4 }
+  ],
+  last_episode_to_air: { season_number: 3, episode_number: 1 }
+};
+
+/**
+ * Episodes on Plex, as /allLeaves returns them, from [season, episode] pairs
+ */
+function leaves(...episodes) {
+  return { Metadata: episodes.map(([parentIndex, index]) => ({ parentIndex, index })) };
+}
+
+beforeAll(() => {
+  db.prepare("INSERT INTO plex_servers (id, name, url, token) VALUES ('server', 'Home', 'http://plex', 'token')").run();
+});
+
+beforeEach(() => {
+  db.prepare('DELETE FROM plex_library_sync').run();
+  db.prepare('DELETE FROM plex_library_episodes').run();
+  plexGet.mockReset();
+});
+
+describe('getSeasonAvailability', () => {
+  test('compares each season with the episodes aired so far', async () => {
+    plexGet.mockResolvedValue(leaves([1, 1], [1, 2], [1, 3], [2, 1], [3, 1]));
+
+    const availability = await getSeasonAvailability(server, show, { ratingKey: 20 });
+
+    expect(plexGet).toHaveBeenCalledWith(server, '/library/metadata/20/allLeaves');
+    expect(availability.status).toBe('partial');
+    expect(availability.seasons.map(s => [s.seasonNumber, s.airedEpisodes, s.episodesOnPlex, s.status])).toEqual([
+      [0, 2, 0, 'missing'],
+      [1, 3, 3, 'complete'],
+      [2, 3, 1, 'partial'],
+      [3, 1, 1, 'complete']
+    ]);
+    expect(getMissingSeasons(availability)).toEqual([2]);
+  });
+
+  test('ignores specials and unaired seasons for the show status', async () => {
+    plexGet.mockResolvedValue(leaves([1, 1], [1, 2], [1, 3], [2, 1], [2, 2], [2, 3], [3, 1]));
+    const upcoming = { ...show, seasons: [...show.seasons, { season_number: 4, episode_count: 8 }] };
+
+    const availability = await getSeasonAvailability(server, upcoming, { ratingKey: 20 });
+
+    expect(availability.seasons.find(s => s.seasonNumber === 4).status).toBe('unaired');
+    expect(availability.status).toBe('complete');
+  });
+
+  test('reports every season missing without a Plex show', async () => {
+    const availability = await getSeasonAvailability(server, show, null);
+
+    expect(availability.status).toBe('missing');
+    expect(getMissingSeasons(availability)).toEqual([1, 2, 3]);
+    expect(plexGet).not.toHaveBeenCalled();
+  });
+
+  test('reads episodes from the library index once it is synced', async () => {
+    db.prepare("INSERT INTO plex_library_sync (server_id, last_full_sync) VALUES ('server', datetime('now'))").run();
+    const insert = db.prepare(`
+      INSERT INTO plex_library_episodes (server_id, rating_key, show_rating_key, season_number, episode_number)
+      VALUES ('server', ?, '20', ?, ?)
+    `);
+    [[1, 1], [1, 2], [1, 3]].forEach(([season, episode], i) => insert.run(`e${i}`, season, episode));
+
+    const availability = await getSeasonAvailability(server, show, { rating_key: '20' });
+
+    expect(plexGet).not.toHaveBeenCalled();
+    expect(getMissingSeasons(availability)).toEqual([2, 3]);
+  });
+});
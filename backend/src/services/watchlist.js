@@ -0,0 +1,138 @@
+/**
+ * Watchlist Service
+ * Follows the release and new seasons of watchlisted titles, notifies their
+ * users and, for items with auto-request on, turns them into requests
+ */
+
+const db = require('../database');
+const { tmdbGet } = require('./tmdb');
+const { notify } = require('./notifications');
+const { submitAutomaticRequest } = require('./requests');
+
+/**
+ * Get a title's release state from TMDB: whether it has been released (a
+ * series once its first season airs) and, for series, the latest regular
+ * season that has started airing
+ */
+async function getReleaseState(tmdbId, contentType) {
+  const details = await tmdbGet(`/${contentType}/${tmdbId}`);
+  const today = new Date().toISOString().slice(0, 10);
+
+  if (contentType === 'movie') {
+    const released = details.status === 'Released' || (!!details.release_date && details.release_date <= today);
+    return { released, lastSeason: null };
+  }
+
+  const lastSeason = (details.seasons || [])
+    .filter(s => s.season_number > 0 && s.air_date && s.air_date <= today)
+    .reduce((latest, s) => Math.max(latest, s.season_number), 0);
+  return { released: lastSeason > 0, lastSeason };
+}
+
+/**
+ * Keys ("movie_603", "tv_2316") of the titles on a user's watchlist
+ */
+function getWatchlistKeys(userId) {
+  const rows = db.prepare('SELECT content_type, tmdb_id FROM watchlist WHERE user_id = ?').all(userId);
+  return new Set(rows.map(r => `${r.content_type}_${r.tmdb_id}`));
+}
+
+/**
+ * Request a watchlist item for its user: the movie, or the given seasons.
+ * Returns the request, or null if it wasn't requested.
+ */
+async function requestWatchlistItem(item, seasons = null) {
+  const user = db.prepare('SELECT id, primary_server_id FROM users WHERE id = ?').get(item.user_id);
+  if (!user?.primary_server_id) return null;
+
+  const request = await submitAutomaticRequest({
+    userId: user.id,
+    serverId: user.primary_server_id,
+    tmdbId: item.tmdb_id,
+    contentType: item.content_type,
+    title: item.title,
+    year: item.year,
+    posterPath: item.poster_path,
+    seasons,
+    source: 'watchlist'
+  });
+
+  if (request) {
+    db.prepare(`
+      INSERT INTO audit_log (user_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(user.id, 'watchlist_request', `Requested ${item.content_type} from watchlist: ${item.title}`, null);
+  }
+
+  return request;
+}
+
+/**
+ * Compare a watchlist item with its title's current release state, then
+ * notify and request anything new. Items without a recorded state (TMDB was
+ * unreachable when they were added) only have it recorded.
+ */
+async function applyReleaseState(item, state, summary) {
+  let event = null;
+  let seasons = null;
+
+  if (item.released !== null) {
+    if (item.content_type === 'movie' && !item.released && state.released) {
+      event = 'watchlist_released';
+    } else if (item.content_type === 'tv' && state.lastSeason > item.last_season) {
+      event = 'watchlist_new_season';
+      seasons = [];
+      for (let n = item.last_season + 1; n <= state.lastSeason; n++) seasons.push(n);
+    }
+  }
+
+  db.prepare(`
+    UPDATE watchlist SET released = ?, last_season = ?, last_checked_at = datetime('now') WHERE id = ?
+  `).run(state.released ? 1 : 0, state.lastSeason, item.id);
+
+  if (!event) return;
+
+  const request = item.auto_request ? await requestWatchlistItem(item, seasons) : null;
+  db.prepare(`
+    UPDATE watchlist SET last_notified_at = datetime('now'), last_request_id = COALESCE(?, last_request_id) WHERE id = ?
+  `).run(request?.id || null, item.id);
+
+  // Not a request, so the message carries no request details
+  notify(event, item, { id: null, requested: !!request, seasonList: seasons && `season ${seasons.join(', ')}` });
+
+  summary[event === 'watchlist_released' ? 'released' : 'newSeasons']++;
+  if (request) summary.requested++;
+}
+
+/**
+ * Check every watchlist item for a release or new season. Each title is
+ * looked up once however many users watch it.
+ */
+async function checkWatchlist() {
+  const summary = { checked: 0, released: 0, newSeasons: 0, requested: 0, errors: 0 };
+
+  // Released movies have nothing left to wait for
+  const items = db.prepare("SELECT * FROM watchlist WHERE content_type = 'tv' OR released IS NOT 1").all();
+
+  const states = new Map();
+  for (const item of items) {
+    const key = `${item.content_type}_${item.tmdb_id}`;
+    if (!states.has(key)) states.set(key, getReleaseState(item.tmdb_id, item.content_type));
+
+    try {
+      await applyReleaseState(item, await states.get(key), summary);
+      summary.checked++;
+    } catch (error) {
+      summary.errors++;
+      console.error(`[Watchlist] Check failed for ${item.content_type} ${item.tmdb_id}:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  getReleaseState,
+  getWatchlistKeys,
+  checkWatchlist
+};
@@ -0,0 +1,127 @@
+/**
+ * Watchlist Service tests
+ */
+
+jest.mock('./tmdb', () => ({ tmdbGet: jest.fn() }));
+jest.mock('./notifications', () => ({ notify: jest.fn() }));
+
+const db = require('../database');
+const { tmdbGet } = require('./tmdb');
+const { notify } = require('./notifications');
+const { checkWatchlist, getWatchlistKeys } = require('./watchlist');
+
+let itemCount = 0;
+
+/**
+ * Add a watchlist item for a user
+ */
+function addItem(userId, contentType, tmdbId, { released = 0, lastSeason = null, autoRequest = false } = {}) {
+  const id = `item-${++itemCount}`;
+  db.prepare(`
+    INSERT INTO watchlist (id, user_id, tmdb_id, content_type, title, auto_request, released, last_season)
+    VALUES (?, ?, ?, ?, 'Title', ?, ?, ?)
+  `).run(id, userId, tmdbId, contentType, autoRequest ? 1 : 0, released, lastSeason);
+  return id;
+}
+
+/**
+ * Current state of a watchlist item
+ */
+function itemOf(id) {
+  return db.prepare('SELECT * FROM watchlist WHERE id = ?').get(id);
+}
+
+// A movie released last year and a series whose third season started airing
+const details = {
+  '/movie/603': { id: 603, status: 'Released', release_date: '2020-01-01' },
+  '/movie/999': { id: 999, status: 'Post Production', release_date: '2999-01-01' },
+  '/tv/1399': {
+    id: 1399,
+    number_of_seasons: 4,
+    seasons: [
+      { season_number: 0, air_date: '2010-01-01', episode_count: 2 },
+      { season_number: 1, air_date: '2011-04-17', episode_count: 10 },
+      { season_number: 2, air_date: '2012-04-01', episode_count: 10 },
+      { season_number: 3, air_date: '2013-03-31', episode_count: 10 },
+      { season_number: 4, air_date: null, episode_count: 0 }
+    ]
+  }
+};
+
+beforeAll(() => {
+  db.prepare("INSERT INTO plex_servers (id, name, url, token) VALUES ('server', 'Home', 'http://plex', 'token')").run();
+  db.prepare(`
+    INSERT INTO users (id, username, password_hash, primary_server_id)
+    VALUES ('alice', 'alice', 'x', 'server'), ('bob', 'bob', 'x', 'server')
+  `).run();
+});
+
+beforeEach(() => {
+  db.prepare('DELETE FROM watchlist').run();
+  db.prepare('DELETE FROM content_requests').run();
+  jest.clearAllMocks();
+  tmdbGet.mockImplementation(async path => details[path]);
+});
+
+describe('checkWatchlist', () => {
+  test('notifies when a watched movie is released, once', async () => {
+    const id = addItem('alice', 'movie', 603);
+    addItem('alice', 'movie', 999);
+
+    expect(await checkWatchlist()).toMatchObject({ checked: 2, released: 1, requested: 0 });
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith('watchlist_released', expect.objectContaining({ id }), expect.objectContaining({ requested: false }));
+    expect(itemOf(id).released).toBe(1);
+
+    await checkWatchlist();
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+
+  test('requests the movie for items with auto-request on', async () => {
+    const id = addItem('alice', 'movie', 603, { autoRequest: true });
+
+    expect(await checkWatchlist()).toMatchObject({ released: 1, requested: 1 });
+
+    const request = db.prepare('SELECT * FROM content_requests').get();
+    expect(request).toMatchObject({ user_id: 'alice', tmdb_id: 603, status: 'pending' });
+    expect(itemOf(id).last_request_id).toBe(request.id);
+
+    const created = db.prepare("SELECT details FROM request_events WHERE request_id = ? AND event = 'created'").get(request.id);
+    expect(JSON.parse(created.details)).toEqual({ source: 'watchlist' });
+  });
+
+  test('requests the seasons that started airing since the last check', async () => {
+    const id = addItem('alice', 'tv', 1399, { released: 1, lastSeason: 1, autoRequest: true });
+
+    expect(await checkWatchlist()).toMatchObject({ newSeasons: 1, requested: 1 });
+    expect(notify).toHaveBeenCalledWith('watchlist_new_season', expect.anything(), expect.objectContaining({ seasonList: 'season 2, 3' }));
+    expect(db.prepare('SELECT seasons FROM content_requests').get().seasons).toBe('[2,3]');
+    expect(itemOf(id).last_season).toBe(3);
+  });
+
+  test('only records the state of items added while TMDB was unreachable', async () => {
+    const id = addItem('alice', 'tv', 1399, { released: null });
+
+    expect(await checkWatchlist()).toMatchObject({ checked: 1, newSeasons: 0 });
+    expect(notify).not.toHaveBeenCalled();
+    expect(itemOf(id)).toMatchObject({ released: 1, last_season: 3 });
+  });
+
+  test('looks each title up once for every user watching it', async () => {
+    addItem('alice', 'tv', 1399, { released: 1, lastSeason: 3 });
+    addItem('bob', 'tv', 1399, { released: 1, lastSeason: 2 });
+
+    expect(await checkWatchlist()).toMatchObject({ checked: 2, newSeasons: 1 });
+    expect(tmdbGet).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getWatchlistKeys', () => {
+  test('lists the titles on a user watchlist', () => {
+    addItem('alice', 'movie', 603);
+    addItem('alice', 'tv', 1399);
+    addItem('bob', 'movie', 999);
+
+    expect(getWatchlistKeys('alice')).toEqual(new Set(['movie_603', 'tv_1399']));
+  });
+});